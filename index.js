@@ -24,16 +24,204 @@ const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
 // Import application modules
-const { createGithubAPI, KHULNASOFT_CHECKS } = require('./lib/github/index');
+const { createGithubAPI, GitHubClient, BranchProtectionManager, RulesetManager, KHULNASOFT_CHECKS } = require('./lib/github/index');
+const Policy = require('./lib/policy/Policy');
+const RulesetValidator = require('./lib/rulesets/RulesetValidator');
+const { REPORT_SCHEMA_VERSION, REPORT_FORMATS, reportFormatFor, renderReport } = require('./lib/reports/index');
+const { createInventory, readInventory, inventoryFormatFor, renderInventory } = require('./lib/reports/inventory');
+const { compareInventories, renderInventoryDiff } = require('./lib/reports/inventoryDiff');
 const logger = require('./lib/utils/logger');
+const { diffObjects, formatChange, formatUnifiedDiff } = require('./lib/utils/diff');
+const { createSnapshot, writeSnapshot, readSnapshot } = require('./lib/utils/snapshot');
+const { isGlob, matchesGlob } = require('./lib/utils/glob');
+const { readRepositoryList, createRepositoryFilter } = require('./lib/utils/repoFilter');
+const { runWorkerPool, createProgress } = require('./lib/utils/workerPool');
+const { createJournal, recordOutcome, readJournal } = require('./lib/utils/journal');
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
+  .command('$0', 'Remove or add required status checks on branch protection')
+  .command('apply', 'Converge branch protection to a policy file', (command) => command
+    .option('policy', {
+      type: 'string',
+      description: 'Policy file (YAML or JSON) describing the desired branch protection',
+      demandOption: true,
+      alias: 'f'
+    }))
+  .command('audit', 'Report branches that violate a baseline policy (exits with code 2 on violations)', (command) => command
+    .option('policy', {
+      type: 'string',
+      description: 'Baseline policy file (YAML or JSON) to audit against',
+      demandOption: true,
+      alias: 'f'
+    }))
+  .command('rulesets <action> [files..]', 'Manage repository and organization rulesets from JSON files', (command) => command
+    .positional('action', {
+      type: 'string',
+      description: 'list and export read rulesets; create, update (idempotent, matched by name) and delete apply ruleset files',
+      choices: ['list', 'export', 'create', 'update', 'delete']
+    })
+    .positional('files', {
+      type: 'string',
+      description: 'Ruleset JSON files or directories',
+      default: ['.github/ruleset']
+    })
+    .option('scope', {
+      type: 'string',
+      description: 'Target organization or repository rulesets; auto uses the source_type of each file, and list and export read both',
+      choices: ['auto', 'org', 'repo'],
+      default: 'auto'
+    })
+    .option('name', {
+      type: 'array',
+      description: 'Ruleset names to delete instead of the names in the files (delete only)'
+    })
+    .option('output-dir', {
+      type: 'string',
+      description: 'Directory to export rulesets to',
+      default: 'rulesets-export'
+    }))
+  .command('validate [files..]', 'Validate ruleset JSON files against the bundled schema (no GitHub access needed)', (command) => command
+    .positional('files', {
+      type: 'string',
+      description: 'Ruleset JSON files or directories',
+      default: ['.github/ruleset']
+    })
+    .option('allow-source-fields', {
+      type: 'boolean',
+      description: 'Accept the source and source_type fields found in exported rulesets',
+      default: false
+    }))
+  .command('migrate-to-rulesets', 'Convert classic branch protection into an equivalent branch ruleset', (command) => command
+    .option('ruleset-name', {
+      type: 'string',
+      description: 'Name of the created ruleset (defaults to "Migrated protection: <branch>")'
+    })
+    .option('remove-classic', {
+      type: 'boolean',
+      description: 'Remove the classic branch protection once the ruleset exists',
+      default: false
+    })
+    .option('allow-unmapped', {
+      type: 'boolean',
+      description: 'Remove classic protection even when some settings could not be migrated',
+      default: false
+    }))
+  .command('restore', 'Restore branch protection from a snapshot taken before a bulk change', (command) => command
+    .option('from', {
+      type: 'string',
+      description: 'Snapshot file to restore',
+      demandOption: true
+    }))
+  .command('replace-check', 'Rename a required status check in place, keeping its app_id and strict setting', (command) => command
+    .option('from', {
+      type: 'string',
+      description: 'Check name to replace',
+      demandOption: true
+    })
+    .option('to', {
+      type: 'string',
+      description: 'New check name',
+      demandOption: true
+    }))
+  .command('reviews', 'Set required pull request review settings (named like the pull_request ruleset rule parameters)', (command) => command
+    .option('required-approving-review-count', {
+      type: 'number',
+      description: 'Approving reviews required before merging (0-6)'
+    })
+    .option('require-code-owner-review', {
+      type: 'boolean',
+      description: 'Require a review from code owners (--no-require-code-owner-review to turn off)'
+    })
+    .option('dismiss-stale-reviews-on-push', {
+      type: 'boolean',
+      description: 'Dismiss approvals when new commits are pushed'
+    })
+    .option('require-last-push-approval', {
+      type: 'boolean',
+      description: 'Require approval of the most recent push by someone other than its author'
+    })
+    .option('required-review-thread-resolution', {
+      type: 'boolean',
+      description: 'Require conversations to be resolved before merging'
+    })
+    .option('add-dismissal-actors', {
+      type: 'array',
+      description: 'Actors allowed to dismiss reviews, as user:<login>, team:<slug> or app:<slug>'
+    })
+    .option('remove-dismissal-actors', {
+      type: 'array',
+      description: 'Actors no longer allowed to dismiss reviews'
+    })
+    .option('add-bypass-actors', {
+      type: 'array',
+      description: 'Actors allowed to bypass required pull requests, as user:<login>, team:<slug> or app:<slug>'
+    })
+    .option('remove-bypass-actors', {
+      type: 'array',
+      description: 'Actors no longer allowed to bypass required pull requests'
+    }))
+  .command('restrictions', 'Add or remove the users, teams and apps allowed to push to restricted branches', (command) => command
+    .option('add-push-actors', {
+      type: 'array',
+      description: 'Actors to allow to push, as user:<login>, team:<slug> or app:<slug>'
+    })
+    .option('remove-push-actors', {
+      type: 'array',
+      description: 'Actors no longer allowed to push'
+    }))
+  .command('export', 'Export the protection settings and rulesets in effect on every protected branch into one inventory', (command) => command
+    .option('output', {
+      type: 'string',
+      description: 'Inventory file; .csv writes one row per branch, anything else JSON',
+      default: 'inventory.json'
+    })
+    .option('format', {
+      type: 'string',
+      description: 'Inventory format, overriding the file extension',
+      choices: ['json', 'csv']
+    }))
+  .command('diff <before> <after>', 'Compare two inventories or backup snapshots offline and report protection changes', (command) => command
+    .positional('before', {
+      type: 'string',
+      description: 'Older inventory (from export) or snapshot (from backups/)'
+    })
+    .positional('after', {
+      type: 'string',
+      description: 'Newer inventory or snapshot'
+    })
+    .option('format', {
+      type: 'string',
+      description: 'Output format',
+      choices: ['text', 'json', 'markdown'],
+      default: 'text'
+    })
+    .option('output', {
+      type: 'string',
+      description: 'Write the comparison to a file instead of standard output'
+    }))
+  .command('preflight', 'Check that the credentials can change branch protection on every selected repository')
   .option('token', {
     type: 'string',
     description: 'GitHub token',
     alias: 't'
   })
+  .option('api-url', {
+    type: 'string',
+    description: 'GitHub REST API URL, e.g. https://github.example.com/api/v3 for GitHub Enterprise Server (or GITHUB_API_URL environment variable)'
+  })
+  .option('app-id', {
+    type: 'string',
+    description: 'GitHub App ID to authenticate as instead of a token (or APP_ID environment variable)'
+  })
+  .option('private-key', {
+    type: 'string',
+    description: 'Path to the GitHub App private key PEM (or APP_PRIVATE_KEY environment variable with the key itself)'
+  })
+  .option('installation-id', {
+    type: 'number',
+    description: 'GitHub App installation to use (looked up from --owner by default)'
+  })
   .option('owner', {
     type: 'string',
     description: 'GitHub owner (organization or user)',
@@ -45,10 +233,47 @@ const argv = yargs(hideBin(process.argv))
     alias: 'r'
   })
   .option('branch', {
-    type: 'string',
-    description: 'Branch to modify (defaults to repository default branch)',
+    type: 'array',
+    description: 'Branches or glob patterns such as "release/*" to modify (defaults to repository default branch)',
     alias: 'b'
   })
+  .option('all-protected-branches', {
+    type: 'boolean',
+    description: 'Process every protected branch (narrowed by --branch patterns when given)',
+    default: false
+  })
+  .option('include', {
+    type: 'array',
+    description: 'Only process repositories whose name matches one of these regular expressions'
+  })
+  .option('exclude', {
+    type: 'array',
+    description: 'Skip repositories whose name matches one of these regular expressions'
+  })
+  .option('topic', {
+    type: 'array',
+    description: 'Only process repositories with at least one of these topics'
+  })
+  .option('visibility', {
+    type: 'string',
+    description: 'Only process repositories with this visibility',
+    choices: ['public', 'private', 'internal']
+  })
+  .option('skip-archived', {
+    type: 'boolean',
+    description: 'Skip archived repositories',
+    default: false
+  })
+  .option('skip-forks', {
+    type: 'boolean',
+    description: 'Skip forked repositories',
+    default: false
+  })
+  .option('repos-file', {
+    type: 'string',
+    description: 'File listing the repositories to process, one name per line'
+  })
+  .conflicts('repos-file', 'repo')
   .option('dry-run', {
     type: 'boolean',
     description: 'Simulate changes without applying them',
@@ -60,6 +285,12 @@ const argv = yargs(hideBin(process.argv))
     description: 'Custom checks to remove (defaults to Khulnasoft checks)',
     alias: 'c'
   })
+  .option('add-checks', {
+    type: 'array',
+    description: 'Checks to add instead of remove (use "context@app_id" to bind a check to a GitHub App; a name such as "build:18" is kept as is)',
+    alias: 'a'
+  })
+  .conflicts('add-checks', 'checks')
   .option('concurrency', {
     type: 'number',
     description: 'Maximum number of concurrent operations',
@@ -68,9 +299,48 @@ const argv = yargs(hideBin(process.argv))
   })
   .option('report', {
     type: 'string',
-    description: 'Generate a report file (specify filename)',
+    description: 'Generate a report file (specify filename; the format follows the extension: .json, .csv, .md, .html, .sarif)',
     alias: 'p'
   })
+  .option('report-format', {
+    type: 'string',
+    description: 'Report format, overriding the file extension',
+    choices: REPORT_FORMATS
+  })
+  .option('backup', {
+    type: 'boolean',
+    description: 'Snapshot branch protection of every targeted branch before changing it (disable with --no-backup)',
+    default: true
+  })
+  .option('backup-dir', {
+    type: 'string',
+    description: 'Directory for branch protection snapshots',
+    default: 'backups'
+  })
+  .option('journal', {
+    type: 'boolean',
+    description: 'Record the outcome of every repository in a journal so an interrupted run can be resumed (disable with --no-journal)',
+    default: true
+  })
+  .option('journal-dir', {
+    type: 'string',
+    description: 'Directory for run journals',
+    default: 'journals'
+  })
+  .option('resume', {
+    type: 'string',
+    description: 'Resume the run recorded in a journal: skip finished repositories and retry failed ones'
+  })
+  .option('graphql', {
+    type: 'boolean',
+    description: 'Read branch protection for the whole owner up front with GraphQL (dry runs, audits and exports only)',
+    default: false
+  })
+  .option('preflight', {
+    type: 'boolean',
+    description: 'Check token scopes and repository permissions first and stop without changes if any repository would fail',
+    default: false
+  })
   .option('verbose', {
     type: 'boolean',
     description: 'Enable verbose logging',
@@ -80,6 +350,26 @@ const argv = yargs(hideBin(process.argv))
   
   .example('$0 --owner myorg --dry-run', 'Simulate changes for all repositories in myorg')
   .example('$0 --owner myorg --repo myrepo --checks "CI Build" "Lint"', 'Remove specific checks from myrepo')
+  .example('$0 --owner myorg --add-checks "ci / build@15368"', 'Require the "ci / build" check from GitHub App 15368 on every repository')
+  .example('$0 apply --owner myorg --policy protection.yml --dry-run', 'Print the plan to converge every repository to protection.yml')
+  .example('$0 audit --owner myorg --policy baseline.yml', 'List every branch that falls short of baseline.yml')
+  .example('$0 rulesets update --owner myorg .github/ruleset', 'Create or update the checked-in rulesets on the organization and every repository')
+  .example('$0 validate .github/ruleset', 'Check every ruleset file before applying it')
+  .example('$0 migrate-to-rulesets --owner myorg --dry-run', 'Show the rulesets that would replace classic protection on default branches')
+  .example('$0 restore --owner myorg --from backups/protection-myorg-2024-01-01T00-00-00-000Z.json', 'Undo a bulk change')
+  .example('$0 --owner myorg --branch main "release/*" --dry-run', 'Simulate changes on main and every release branch')
+  .example('$0 --owner myorg --skip-archived --skip-forks --exclude "^sandbox-" --dry-run', 'Simulate changes on active repositories, leaving sandboxes alone')
+  .example('$0 --owner myorg --app-id 12345 --private-key app.pem --dry-run', 'Authenticate as a GitHub App installation instead of a token')
+  .example('$0 --owner myorg --api-url https://github.example.com/api/v3 --dry-run', 'Run against GitHub Enterprise Server')
+  .example('$0 preflight --owner myorg', 'List the repositories a run would fail on because of missing permissions')
+  .example('$0 audit --owner myorg --policy baseline.yml --graphql', 'Audit a large organization reading protection 100 repositories per request')
+  .example('$0 --owner myorg --checks "CI Build" --resume journals/checks-myorg-2024-01-01T00-00-00-000Z.jsonl', 'Continue a crashed run where it stopped')
+  .example('$0 replace-check --owner myorg --from "CI Build" --to "ci / build" --dry-run', 'Preview renaming a required check on every repository')
+  .example('$0 audit --owner myorg --policy baseline.yml --report audit.sarif', 'Write audit violations as SARIF for code scanning')
+  .example('$0 export --owner myorg --output inventory.csv', 'Dump the protection of every protected branch for a security review')
+  .example('$0 diff inventory-2024-01-01.json inventory-2024-01-08.json --format markdown', 'Summarize a week of protection changes without API calls')
+  .example('$0 reviews --owner myorg --required-approving-review-count 2 --require-code-owner-review --dry-run', 'Require two approvals and code owner review everywhere')
+  .example('$0 restrictions --owner myorg --add-push-actors app:release-bot --dry-run', 'Let the release bot push to every restricted default branch')
   .example('$0 --owner myorg --report changes.json', 'Process all repos and save report to changes.json')
   .help()
   .alias('help', 'h')
@@ -87,30 +377,189 @@ const argv = yargs(hideBin(process.argv))
   .argv;
 
 // Configuration constants
+const COMMAND = argv._[0] || null;
 const TOKEN = argv.token || process.env.TOKEN;
+const API_URL = argv.apiUrl || process.env.GITHUB_API_URL || null;
+const APP_ID = argv.appId || process.env.APP_ID || null;
+const PRIVATE_KEY_FILE = argv.privateKey || null;
+const INSTALLATION_ID = argv.installationId || Number(process.env.APP_INSTALLATION_ID) || null;
 const OWNER = argv.owner || process.env.OWNER;
 const SPECIFIC_REPO = argv.repo || null;
-const SPECIFIC_BRANCH = argv.branch || null;
+const BRANCH_PATTERNS = argv.branch ? argv.branch.map(String) : null;
+const ALL_PROTECTED_BRANCHES = argv.allProtectedBranches || false;
+const REPOSITORY_FILTERS = {
+  include: (argv.include || []).map(String),
+  exclude: (argv.exclude || []).map(String),
+  topics: (argv.topic || []).map(String),
+  visibility: argv.visibility || null,
+  skipArchived: argv.skipArchived || false,
+  skipForks: argv.skipForks || false
+};
+const REPOS_FILE = argv.reposFile || null;
 const DRY_RUN = argv.dryRun || false;
 const CUSTOM_CHECKS = argv.checks || null;
+const CHECKS_TO_ADD = argv.addChecks ? argv.addChecks.map(parseCheckSpec) : null;
 const MAX_CONCURRENCY = argv.concurrency || 5;  // Maximum number of concurrent operations
-const THROTTLE_DELAY = 1000;  // Delay between API calls in milliseconds
-const MAX_RETRIES = 5; // Maximum number of retry attempts
-const INITIAL_BACKOFF_DELAY = 1000; // Initial backoff delay in milliseconds
+const POLICY_FILE = argv.policy || null;
+const RULESET_ACTION = argv.action || null;
+const RULESET_PATHS = [].concat(argv.files || []);
+const RULESET_SCOPE = argv.scope || 'auto';
+const RULESET_NAMES = argv.name ? argv.name.map(String) : null;
+const RULESET_OUTPUT_DIR = argv.outputDir || 'rulesets-export';
+const ALLOW_SOURCE_FIELDS = argv.allowSourceFields || false;
+const MIGRATION_RULESET_NAME = argv.rulesetName || null;
+const REMOVE_CLASSIC = argv.removeClassic || false;
+const ALLOW_UNMAPPED = argv.allowUnmapped || false;
+const BACKUP = argv.backup !== false;
+const BACKUP_DIR = argv.backupDir || 'backups';
+const RESTORE_FILE = COMMAND === 'restore' ? argv.from : null;
+const REPLACE_FROM = COMMAND === 'replace-check' ? String(argv.from) : null;
+const REPLACE_TO = COMMAND === 'replace-check' ? String(argv.to) : null;
+const REVIEW_CHANGES = COMMAND === 'reviews' ? parseReviewSettings(argv) : null;
+const PUSH_ACTORS = COMMAND === 'restrictions' ? parsePushActors(argv) : null;
+const INVENTORY_FILE = COMMAND === 'export' ? argv.output : null;
+const INVENTORY_FORMAT = INVENTORY_FILE ? inventoryFormatFor(INVENTORY_FILE, argv.format) : null;
+const DIFF_FILES = COMMAND === 'diff' ? [argv.before, argv.after] : null;
+const DIFF_FORMAT = COMMAND === 'diff' ? argv.format : null;
+const DIFF_OUTPUT = COMMAND === 'diff' ? argv.output || null : null;
+const OFFLINE_COMMANDS = ['validate', 'diff']; // Commands that work on local files only
+const MUTATING_COMMANDS = [null, 'apply', 'migrate-to-rulesets', 'replace-check', 'reviews', 'restrictions']; // Commands snapshotted before changes
+const PREFLIGHT = argv.preflight || false;
+const GRAPHQL = argv.graphql || false;
+const JOURNAL = argv.journal !== false;
+const JOURNAL_DIR = argv.journalDir || 'journals';
+const RESUME_FILE = argv.resume || null;
+const GRAPHQL_COMMANDS = ['audit', 'export']; // Read-only commands that may use the GraphQL bulk reader
 const REPORT_FILE = argv.report || null;
+const REPORT_FORMAT = REPORT_FILE ? reportFormatFor(REPORT_FILE, argv.reportFormat) : null;
 const VERBOSE = argv.verbose || false;
 
 // Configure logger with verbose setting
 logger.setVerbose(VERBOSE);
 
+/**
+ * Reads the GitHub App private key from --private-key or APP_PRIVATE_KEY
+ * @returns {string|null} - PEM encoded private key, null when not configured
+ */
+function readPrivateKey() {
+  if (PRIVATE_KEY_FILE) {
+    try {
+      return fs.readFileSync(PRIVATE_KEY_FILE, 'utf8');
+    } catch (error) {
+      logger.error(`❌ Error: Cannot read GitHub App private key ${PRIVATE_KEY_FILE}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  // Secrets stores often keep the key on one line with escaped newlines
+  return process.env.APP_PRIVATE_KEY ? process.env.APP_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+}
+
+const PRIVATE_KEY = APP_ID ? readPrivateKey() : null;
+
+/**
+ * Parses a check given on the command line as "context" or "context@app_id".
+ * Only "@" binds an app, since check names like "build:18" often end in a number.
+ * @param {string|number} spec - Check specification
+ * @returns {{context: string, app_id?: number}} - Status check
+ */
+function parseCheckSpec(spec) {
+  const value = String(spec);
+  const match = value.match(/^(.+)@(-?\d+)$/);
+  if (!match) {
+    return { context: value };
+  }
+  return { context: match[1], app_id: Number(match[2]) };
+}
+
+/**
+ * Parses an actor given on the command line as "user:<login>", "team:<slug>" or "app:<slug>"
+ * @param {string} spec - Actor specification
+ * @returns {{kind: string, name: string}} - Actor list (users, teams or apps) and name
+ */
+function parseActorSpec(spec) {
+  const match = String(spec).match(/^(user|team|app):(.+)$/);
+  if (!match) {
+    logger.error(`❌ Error: Invalid actor "${spec}". Use user:<login>, team:<slug> or app:<slug>.`);
+    process.exit(1);
+  }
+  return { kind: `${match[1]}s`, name: match[2] };
+}
+
+/**
+ * Groups actors given on the command line into users, teams and apps
+ * @param {string[]|undefined} specs - Actor specifications
+ * @returns {{users: string[], teams: string[], apps: string[]}} - Actors
+ */
+function parseActorList(specs) {
+  const actors = { users: [], teams: [], apps: [] };
+  (specs || []).map(parseActorSpec).forEach(({ kind, name }) => actors[kind].push(name));
+  return actors;
+}
+
+/**
+ * Reads the review settings of the reviews command. Options are named after the
+ * pull_request ruleset rule parameters and mapped to branch protection settings.
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Object} - Review settings for BranchProtectionManager.updateReviewSettings
+ */
+function parseReviewSettings(args) {
+  const count = args.requiredApprovingReviewCount;
+  if (count !== undefined && (!Number.isInteger(count) || count < 0 || count > 6)) {
+    logger.error("❌ Error: --required-approving-review-count must be a whole number from 0 to 6.");
+    process.exit(1);
+  }
+
+  const settings = {
+    required_approving_review_count: count,
+    require_code_owner_reviews: args.requireCodeOwnerReview,
+    dismiss_stale_reviews: args.dismissStaleReviewsOnPush,
+    require_last_push_approval: args.requireLastPushApproval,
+    required_conversation_resolution: args.requiredReviewThreadResolution
+  };
+  if (args.addDismissalActors || args.removeDismissalActors) {
+    settings.dismissal_restrictions = {
+      add: parseActorList(args.addDismissalActors),
+      remove: parseActorList(args.removeDismissalActors)
+    };
+  }
+  if (args.addBypassActors || args.removeBypassActors) {
+    settings.bypass_pull_request_allowances = {
+      add: parseActorList(args.addBypassActors),
+      remove: parseActorList(args.removeBypassActors)
+    };
+  }
+
+  if (Object.values(settings).every(value => value === undefined)) {
+    logger.error("❌ Error: Give at least one review setting to change (see reviews --help).");
+    process.exit(1);
+  }
+  return settings;
+}
+
+/**
+ * Reads the actors to add to and remove from push restrictions
+ * @param {Object} args - Parsed command line arguments
+ * @returns {{add: Object, remove: Object}} - Users, teams and apps to add and remove
+ */
+function parsePushActors(args) {
+  if (!args.addPushActors && !args.removePushActors) {
+    logger.error("❌ Error: Give --add-push-actors or --remove-push-actors (see restrictions --help).");
+    process.exit(1);
+  }
+  return {
+    add: parseActorList(args.addPushActors),
+    remove: parseActorList(args.removePushActors)
+  };
+}
+
 /**
  * Validates environment variables
  * @returns {boolean} - true if all required env vars are valid
  */
 function validateEnvironmentVariables() {
   // Check for presence of required variables
-  if (!TOKEN) {
-    logger.error("❌ Error: Missing GitHub token. Provide it via --token option or TOKEN environment variable.");
+  if (!TOKEN && !APP_ID) {
+    logger.error("❌ Error: Missing GitHub token. Provide it via --token option or TOKEN environment variable, or authenticate as a GitHub App with --app-id and --private-key.");
     return false;
   }
   
@@ -119,10 +568,32 @@ function validateEnvironmentVariables() {
     return false;
   }
   
-  // Validate TOKEN format (should be a GitHub personal access token)
-  if (!/^ghp_[a-zA-Z0-9]{36}$/.test(TOKEN) && 
-      !/^github_pat_[a-zA-Z0-9]{22}_[a-zA-Z0-9]{59}$/.test(TOKEN)) {
-    logger.error("❌ Error: GitHub token appears to be invalid. It should be a GitHub personal access token.");
+  if (APP_ID) {
+    // Validate GitHub App credentials
+    if (!/^\d+$/.test(String(APP_ID))) {
+      logger.error("❌ Error: GitHub App ID appears to be invalid. It should be numeric.");
+      return false;
+    }
+    if (!PRIVATE_KEY) {
+      logger.error("❌ Error: Missing GitHub App private key. Provide it via --private-key option or APP_PRIVATE_KEY environment variable.");
+      return false;
+    }
+    if (!/-----BEGIN (RSA )?PRIVATE KEY-----/.test(PRIVATE_KEY)) {
+      logger.error("❌ Error: GitHub App private key appears to be invalid. It should be a PEM encoded key.");
+      return false;
+    }
+  } else if (!/^ghp_[a-zA-Z0-9]{36}$/.test(TOKEN) &&
+      !/^github_pat_[a-zA-Z0-9]{22}_[a-zA-Z0-9]{59}$/.test(TOKEN) &&
+      !/^ghs_[a-zA-Z0-9]{36}$/.test(TOKEN) &&
+      !(API_URL && /^[a-f0-9]{40}$/.test(TOKEN))) {
+    // Validate TOKEN format (personal access token, or an installation token minted elsewhere).
+    // GitHub Enterprise Server may still issue legacy 40 character hex tokens.
+    logger.error("❌ Error: GitHub token appears to be invalid. It should be a GitHub personal access token or app installation token.");
+    return false;
+  }
+
+  if (API_URL && !/^https?:\/\/[^\s/]+/.test(API_URL)) {
+    logger.error("❌ Error: API URL appears to be invalid. It should look like https://github.example.com/api/v3.");
     return false;
   }
   
@@ -142,10 +613,31 @@ function validateEnvironmentVariables() {
 }
 
 // Validate environment variables before proceeding
-if (!validateEnvironmentVariables()) {
+if (!OFFLINE_COMMANDS.includes(COMMAND) && !validateEnvironmentVariables()) {
   process.exit(1);
 }
 
+/**
+ * Loads the policy file for the apply command
+ * @param {string} file - Policy file path
+ * @returns {Policy} - Loaded policy
+ */
+function loadPolicy(file) {
+  try {
+    const policy = Policy.load(file);
+    logger.info(`📜 Loaded policy with ${policy.branches.length} branch rules from ${file}`);
+    return policy;
+  } catch (error) {
+    logger.error(`❌ Error: Invalid policy file ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const POLICY = COMMAND === 'apply' || COMMAND === 'audit' ? loadPolicy(POLICY_FILE) : null;
+const EXIT_CODE_VIOLATIONS = 2; // Exit code of the audit command when violations are found
+const EXIT_CODE_INTERRUPTED = 130; // Exit code when a run is stopped with Ctrl+C
+const PROGRESS_INTERVAL = 5000; // Minimum time between progress messages in milliseconds
+
 /**
  * List repositories to process based on input parameters
  * @param {Object} client - GitHubClient instance
@@ -182,107 +674,55 @@ async function listRepositories(client, owner) {
 }
 
 /**
- * Delays execution for the given number of milliseconds
- * @param {number} ms - milliseconds to delay
- * @returns {Promise} - resolves after the delay
- */
-/**
- * Delays execution for the given number of milliseconds
- * @param {number} ms - milliseconds to delay
- * @returns {Promise} - resolves after the delay
- */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-/**
- * Implements exponential backoff for retries
- * @param {Function} fn - Function to execute with retries
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} initialDelay - Initial delay in milliseconds
- * @returns {Promise<any>} - Result of the function
- */
-async function withExponentialBackoff(fn, maxRetries = MAX_RETRIES, initialDelay = INITIAL_BACKOFF_DELAY) {
-  let retries = 0;
-  let lastError;
-
-  while (retries <= maxRetries) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      
-      // Check if error is due to rate limiting
-      if (error.response?.headers?.['x-ratelimit-reset']) {
-        const resetTime = error.response.headers['x-ratelimit-reset'];
-        const waitTime = (new Date(resetTime * 1000) - new Date()) + 1000; // Add a buffer of 1 second
-        logger.warn(`⚠️ Rate limit hit. Waiting until reset: ${new Date(resetTime * 1000).toLocaleTimeString()}`);
-        await delay(waitTime > 0 ? waitTime : 60000); // Fallback to 1 minute if waitTime is negative
-      } else if (error.status === 403 && error.message?.includes('rate limit')) {
-        // Rate limit error without reset time in headers
-        const backoffDelay = initialDelay * Math.pow(2, retries);
-        logger.warn(`Rate limit hit. Backing off for ${backoffDelay / 1000} seconds`);
-        await delay(backoffDelay);
-      } else if (error.status === 502 || error.status === 503 || error.status === 504) {
-        // GitHub API transient errors
-        const backoffDelay = initialDelay * Math.pow(2, retries);
-        logger.warn(`GitHub API error ${error.status}. Backing off for ${backoffDelay / 1000} seconds`);
-        await delay(backoffDelay);
-      } else {
-        // Not a retryable error
-        throw error;
-      }
-      
-      retries++;
-      if (retries > maxRetries) {
-        logger.error(`Maximum retries (${maxRetries}) exceeded`);
-        throw lastError;
-      }
-    }
-  }
-}
-
-/**
- * Process a single repository with throttling and retries
+ * Process every targeted branch of a repository
  * @param {Object} client - GitHubClient instance
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
  * @param {string} owner - Repository owner
  * @param {Object} repo - Repository object
  * @param {number} index - Current repository index
  * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
  * @returns {Promise<boolean>} - true if successful, false otherwise
  */
+async function processRepository(client, branchProtectionManager, owner, repo, index, total, reportData) {
+  const branches = await resolveRepositoryBranches(client, owner, repo, index, total, reportData);
+  if (!branches) {
+    return false;
+  }
+
+  let success = true;
+  for (const branch of branches) {
+    success = await processBranch(branchProtectionManager, owner, repo, branch, index, total, reportData) && success;
+  }
+  return success;
+}
+
 /**
- * Process a single repository with throttling and retries
- * @param {Object} client - GitHubClient instance
+ * Process a single branch of a repository
  * @param {Object} branchProtectionManager - BranchProtectionManager instance
  * @param {string} owner - Repository owner
  * @param {Object} repo - Repository object
+ * @param {string} branchToUpdate - Branch to update
  * @param {number} index - Current repository index
  * @param {number} total - Total number of repositories
  * @param {Array} reportData - Array to collect report data
  * @returns {Promise<boolean>} - true if successful, false otherwise
  */
-async function processRepository(client, branchProtectionManager, owner, repo, index, total, reportData) {
+async function processBranch(branchProtectionManager, owner, repo, branchToUpdate, index, total, reportData) {
   try {
-    // Add a small delay to avoid hitting rate limits
-    await delay(THROTTLE_DELAY);
-    
-    // Determine which branch to update
-    const branchToUpdate = SPECIFIC_BRANCH || repo.defaultBranch;
-    
     if (VERBOSE) {
       logger.debug(`\U0001F50D Checking branch protection for ${repo.name}/${branchToUpdate}...`);
     }
     
     // Get current branch protection before changes
-    const protectionBefore = await withExponentialBackoff(async () => {
-      return await branchProtectionManager.getBranchProtection({
-        owner: owner,
-        repositoryName: repo.name,
-        branch: branchToUpdate,
-      });
+    const protectionBefore = await branchProtectionManager.getBranchProtection({
+      owner: owner,
+      repositoryName: repo.name,
+      branch: branchToUpdate,
     });
     
-    // If no protection exists, log and continue
-    if (!protectionBefore) {
+    // If no protection exists, log and continue (adding checks creates a minimal protection)
+    if (!protectionBefore && !CHECKS_TO_ADD) {
       const message = `\U0001F6AB No branch protection found for ${repo.name}/${branchToUpdate}`;
       logger.info(message);
       
@@ -300,8 +740,12 @@ async function processRepository(client, branchProtectionManager, owner, repo, i
       return true;
     }
     
+    if (CHECKS_TO_ADD) {
+      return await addChecks(branchProtectionManager, owner, repo, branchToUpdate, index, total, reportData);
+    }
+    
     // Get the checks to remove
-    const checksToRemove = CUSTOM_CHECKS || null; // null means use default Khulnasoft checks
+    const checksToRemove = CUSTOM_CHECKS || []; // empty means use default Khulnasoft checks
     
     // If it's a dry run, don't apply changes
     if (DRY_RUN) {
@@ -313,11 +757,8 @@ async function processRepository(client, branchProtectionManager, owner, repo, i
       });
       
       if (changes.modified) {
-        logger.info(`\U0001F4DD [DRY RUN] [${index + 1}/${total}] Would remove checks from: ${repo.name}/${branchToUpdate}`);
-        if (VERBOSE) {
-          logger.debug('Checks that would be removed:');
-          changes.removedChecks.forEach(check => logger.debug(`  - ${check}`));
-        }
+        logger.info(`\U0001F4DD [DRY RUN] [${index + 1}/${total}] Would remove ${changes.removedChecks.join(', ')} from: ${repo.name}/${branchToUpdate}`);
+        printSimulation(repo.name, branchToUpdate, changes);
       } else {
         logger.info(`\U0001F4DD [DRY RUN] [${index + 1}/${total}] No checks to remove from: ${repo.name}/${branchToUpdate}`);
       }
@@ -330,7 +771,8 @@ async function processRepository(client, branchProtectionManager, owner, repo, i
           status: 'simulated',
           dryRun: true,
           changes: changes.removedChecks,
-          checksRemaining: changes.remainingChecks
+          checksRemaining: changes.remainingChecks,
+          diff: changes.changes
         });
       }
       
@@ -338,40 +780,36 @@ async function processRepository(client, branchProtectionManager, owner, repo, i
     }
     
     // Actually apply the changes
-    // Actually apply the changes
-    await withExponentialBackoff(async () => {
-      const result = await branchProtectionManager.removeChecksFromBranchProtection({
-        owner: owner,
-        repositoryName: repo.name,
+    const result = await branchProtectionManager.removeChecksFromBranchProtection({
+      owner: owner,
+      repositoryName: repo.name,
+      branch: branchToUpdate,
+      checksToRemove: checksToRemove
+    });
+
+    // Add to report
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
         branch: branchToUpdate,
-        checksToRemove: checksToRemove
+        status: 'updated',
+        changes: result.removedChecks,
+        checksRemaining: result.remainingChecks
       });
-      // Add to report
-      if (reportData) {
-        reportData.push({
-          repository: repo.name,
-          branch: branchToUpdate,
-          status: 'updated',
-          changes: result.removedChecks,
-          checksRemaining: result.remainingChecks
-        });
-      }
-      
-      return result;
-    });
+    }
     
     logger.info(`✅ [${index + 1}/${total}] Removed checks from: ${repo.name}/${branchToUpdate}`);
     return true;
   } catch (error) {
     // Sanitize any potentially sensitive information from error logs
     const sanitizedError = sanitizeErrorForLogging(error);
-    logger.error(`❌ Failed to update ${repo.name}:`, sanitizedError);
+    logger.error(`❌ Failed to update ${repo.name}/${branchToUpdate}:`, sanitizedError);
     
     // Add to report
     if (reportData) {
       reportData.push({
         repository: repo.name,
-        branch: SPECIFIC_BRANCH || repo.defaultBranch,
+        branch: branchToUpdate,
         status: 'error',
         error: sanitizedError.message || 'Unknown error'
       });
@@ -382,153 +820,1727 @@ async function processRepository(client, branchProtectionManager, owner, repo, i
 }
 
 /**
- * Sanitizes error objects to remove sensitive information before logging
- * @param {Error} error - The error object to sanitize
- * @returns {Object} - A sanitized version of the error
+ * Prints the protection a dry run would write as a unified diff against the current one
+ * @param {string} repositoryName - Repository name
+ * @param {string} branch - Branch name
+ * @param {{current: Object|null, desired: Object}} simulation - Result of a simulate* method
  */
-function sanitizeErrorForLogging(error) {
-  if (!error) return 'Unknown error';
-  
-  // Create a new object with only safe properties
-  const sanitized = {
-    name: error.name,
-    message: error.message,
-    status: error.status,
-    code: error.code
-  };
-  
-  // Remove any tokens or secrets from error message
-  if (sanitized.message) {
-    sanitized.message = sanitized.message
-      .replace(/ghp_[a-zA-Z0-9]{36}/g, '[REDACTED_TOKEN]')
-      .replace(/github_pat_[a-zA-Z0-9]{22}_[a-zA-Z0-9]{59}/g, '[REDACTED_TOKEN]')
-      .replace(/Bearer [a-zA-Z0-9._-]+/g, 'Bearer [REDACTED]')
-      .replace(/Authorization: [a-zA-Z0-9._-]+/g, 'Authorization: [REDACTED]');
-  }
-  
-  return sanitized;
+function printSimulation(repositoryName, branch, simulation) {
+  logger.diff(formatUnifiedDiff(simulation.current, simulation.desired, {
+    fromLabel: `${repositoryName}/${branch} (current)`,
+    toLabel: `${repositoryName}/${branch} (dry run)`
+  }));
 }
+
 /**
- * Process repositories in batches with controlled concurrency
- * @param {Object} client - GitHubClient instance
+ * Adds the requested checks to a branch, or simulates it in dry-run mode
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
  * @param {string} owner - Repository owner
- * @param {Array} repos - Array of repository objects
- * @returns {Promise<number>} - Number of successfully updated repositories
+ * @param {Object} repo - Repository object
+ * @param {string} branch - Branch to update
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
  */
-async function updateBranchProtection(github, owner, repos, reportData = null) {
-  let updatedRepos = 0;
-  
-  // Process repositories in batches of MAX_CONCURRENCY
-  for (let i = 0; i < repos.length; i += MAX_CONCURRENCY) {
-    const batch = repos.slice(i, i + MAX_CONCURRENCY);
-    
-    // Create an array of promises for the current batch
-    const promises = batch.map((repo, batchIndex) => 
-      processRepository(github.client, github.branchProtectionManager, owner, repo, i + batchIndex, repos.length, reportData)
-    );
-    
-    // Process the current batch in parallel
-    const results = await Promise.all(promises);
-    
-    // Count successful updates
-    updatedRepos += results.filter(result => result).length;
-    
-    // Add delay between batches to avoid rate limits
-    if (i + MAX_CONCURRENCY < repos.length) {
-      logger.info(`\U0001F552 Waiting before processing next batch...`);
-      await delay(THROTTLE_DELAY * 2);
+async function addChecks(branchProtectionManager, owner, repo, branch, index, total, reportData) {
+  if (DRY_RUN) {
+    const changes = await branchProtectionManager.simulateAddingChecks({
+      owner,
+      repositoryName: repo.name,
+      branch,
+      checksToAdd: CHECKS_TO_ADD
+    });
+
+    if (changes.addedChecks.length) {
+      const action = changes.createsProtection ? 'create protection with' : 'add';
+      logger.info(`📝 [DRY RUN] [${index + 1}/${total}] Would ${action} checks on: ${repo.name}/${branch}`);
+      printSimulation(repo.name, branch, changes);
+    } else {
+      logger.info(`📝 [DRY RUN] [${index + 1}/${total}] No checks to add to: ${repo.name}/${branch}`);
+    }
+
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: 'simulated',
+        dryRun: true,
+        createsProtection: changes.createsProtection,
+        changes: changes.addedChecks,
+        checksRequired: changes.desired.required_status_checks.checks.map(check => check.context),
+        diff: changes.changes
+      });
     }
+
+    return true;
   }
-  
-  return updatedRepos;
+
+  const result = await branchProtectionManager.addChecksToBranchProtection({
+    owner,
+    repositoryName: repo.name,
+    branch,
+    checksToAdd: CHECKS_TO_ADD
+  });
+
+  if (reportData) {
+    reportData.push({
+      repository: repo.name,
+      branch,
+      status: result.addedChecks.length ? 'updated' : 'unchanged',
+      createsProtection: result.createsProtection || false,
+      changes: result.addedChecks,
+      checksRequired: result.requiredChecks
+    });
+  }
+
+  logger.info(`✅ [${index + 1}/${total}] Added checks to: ${repo.name}/${branch}`);
+  return true;
 }
+
 /**
- * Validates GitHub token by making a simple API call
+ * Replaces the check given with --from by the one given with --to on every targeted branch
  * @param {Object} client - GitHubClient instance
- * @returns {Promise<boolean>} - true if token is valid
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
  */
-async function validateToken(client) {
-  try {
-    const result = await client.validateToken();
-    if (result.valid) {
-      logger.info("✅ GitHub token validated successfully");
-      return true;
-    } else {
-      logger.error("❌ Invalid GitHub token:", result.error);
-      return false;
-    }
-  } catch (error) {
-    logger.error("❌ Invalid GitHub token:", sanitizeErrorForLogging(error));
+async function replaceCheckInRepository(client, branchProtectionManager, owner, repo, index, total, reportData) {
+  const branches = await resolveRepositoryBranches(client, owner, repo, index, total, reportData);
+  if (!branches) {
     return false;
   }
-}
 
-async function run() {
-  // Initialize GitHub API with factory function
-  const github = createGithubAPI(TOKEN);
-  // Initialize report data array if reporting is enabled
-  const reportData = REPORT_FILE ? [] : null;
+  let success = true;
+  for (const branch of branches) {
+    success = await replaceCheckInBranch(branchProtectionManager, owner, repo, branch, index, total, reportData) && success;
+  }
+  return success;
+}
 
+/**
+ * Replaces a required check on a single branch, or simulates it in dry-run mode
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {string} branch - Branch to update
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
+ */
+async function replaceCheckInBranch(branchProtectionManager, owner, repo, branch, index, total, reportData) {
+  const params = { owner, repositoryName: repo.name, branch, from: REPLACE_FROM, to: REPLACE_TO };
   try {
-    // Validate the GitHub token before proceeding
-    const isTokenValid = await validateToken(github.client);
-    if (!isTokenValid) {
-      logger.error("❌ Cannot proceed with an invalid GitHub token");
-      process.exit(1);
-    }
+    const result = DRY_RUN
+      ? await branchProtectionManager.simulateReplacingCheck(params)
+      : await branchProtectionManager.replaceCheckInBranchProtection(params);
+    const prefix = DRY_RUN ? '📝 [DRY RUN] ' : '';
 
-    const repos = await listRepositories(github.client, OWNER);
-    if (repos.length === 0) {
-      logger.warn("⚠️ No repositories to process");
-      return;
+    if (result.replaced) {
+      logger.info(`${prefix}🔁 [${index + 1}/${total}] ${DRY_RUN ? 'Would replace' : 'Replaced'} "${REPLACE_FROM}" with "${REPLACE_TO}" on: ${repo.name}/${branch}`);
+      if (DRY_RUN) {
+        printSimulation(repo.name, branch, result);
+      }
+    } else {
+      logger.info(`${prefix}✔️ [${index + 1}/${total}] "${REPLACE_FROM}" is not required on: ${repo.name}/${branch}`);
+    }
+
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: !result.replaced ? 'unchanged' : DRY_RUN ? 'simulated' : 'updated',
+        dryRun: DRY_RUN,
+        from: REPLACE_FROM,
+        to: REPLACE_TO,
+        changes: result.changes
+      });
+    }
+    return true;
+  } catch (error) {
+    const sanitizedError = sanitizeErrorForLogging(error);
+    logger.error(`❌ Failed to replace check on ${repo.name}/${branch}:`, sanitizedError);
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: 'error',
+        error: sanitizedError.message || 'Unknown error'
+      });
+    }
+    return false;
+  }
+}
+
+/**
+ * Applies the review settings of the reviews command to every targeted branch
+ * @param {Object} client - GitHubClient instance
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
+ */
+async function updateReviewsInRepository(client, branchProtectionManager, owner, repo, index, total, reportData) {
+  const branches = await resolveRepositoryBranches(client, owner, repo, index, total, reportData);
+  if (!branches) {
+    return false;
+  }
+
+  let success = true;
+  for (const branch of branches) {
+    success = await updateReviewsInBranch(branchProtectionManager, owner, repo, branch, index, total, reportData) && success;
+  }
+  return success;
+}
+
+/**
+ * Applies the review settings to a single branch, or simulates it in dry-run mode
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {string} branch - Branch to update
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
+ */
+async function updateReviewsInBranch(branchProtectionManager, owner, repo, branch, index, total, reportData) {
+  const params = { owner, repositoryName: repo.name, branch, settings: REVIEW_CHANGES };
+  try {
+    const result = DRY_RUN
+      ? await branchProtectionManager.simulateUpdatingReviewSettings(params)
+      : await branchProtectionManager.updateReviewSettings(params);
+    const prefix = DRY_RUN ? '📝 [DRY RUN] ' : '';
+
+    if (result.error) {
+      logger.info(`🚫 No branch protection found for ${repo.name}/${branch}`);
+    } else if (result.modified) {
+      logger.info(`${prefix}👀 [${index + 1}/${total}] ${DRY_RUN ? 'Would change' : 'Changed'} ${result.changes.length} review settings on: ${repo.name}/${branch}`);
+      if (DRY_RUN) {
+        printSimulation(repo.name, branch, result);
+      }
+    } else {
+      logger.info(`${prefix}✔️ [${index + 1}/${total}] Review settings already match on: ${repo.name}/${branch}`);
+    }
+
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: result.error ? 'skipped' : !result.modified ? 'unchanged' : DRY_RUN ? 'simulated' : 'updated',
+        ...(result.error ? { reason: 'No branch protection found' } : {}),
+        dryRun: DRY_RUN,
+        changes: result.changes
+      });
     }
+    return true;
+  } catch (error) {
+    const sanitizedError = sanitizeErrorForLogging(error);
+    logger.error(`❌ Failed to update review settings on ${repo.name}/${branch}:`, sanitizedError);
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: 'error',
+        error: sanitizedError.message || 'Unknown error'
+      });
+    }
+    return false;
+  }
+}
+
+/**
+ * Checks that the actors to be granted push access exist in the organization,
+ * so a typo does not fail the run halfway
+ * @param {Object} client - GitHubClient instance
+ */
+async function checkPushActors(client) {
+  if (await client.getOwnerType(OWNER) !== 'Organization') {
+    logger.error(`❌ Error: Push restrictions are only available for organization repositories, ${OWNER} is a user account`);
+    process.exit(1);
+  }
+
+  const missing = await client.findMissingActors(OWNER, PUSH_ACTORS.add);
+  if (missing.length) {
+    logger.error(`❌ Error: Not found in ${OWNER}, no changes were made: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Applies the push restriction changes of the restrictions command to every targeted branch
+ * @param {Object} client - GitHubClient instance
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
+ */
+async function updateRestrictionsInRepository(client, branchProtectionManager, owner, repo, index, total, reportData) {
+  const branches = await resolveRepositoryBranches(client, owner, repo, index, total, reportData);
+  if (!branches) {
+    return false;
+  }
+
+  let success = true;
+  for (const branch of branches) {
+    success = await updateRestrictionsInBranch(branchProtectionManager, owner, repo, branch, index, total, reportData) && success;
+  }
+  return success;
+}
+
+/**
+ * Applies the push restriction changes to a single branch, or simulates it in dry-run mode
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {string} branch - Branch to update
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
+ */
+async function updateRestrictionsInBranch(branchProtectionManager, owner, repo, branch, index, total, reportData) {
+  const params = { owner, repositoryName: repo.name, branch, actors: PUSH_ACTORS };
+  try {
+    const result = DRY_RUN
+      ? await branchProtectionManager.simulateUpdatingRestrictions(params)
+      : await branchProtectionManager.updateRestrictions(params);
+    const prefix = DRY_RUN ? '📝 [DRY RUN] ' : '';
+
+    let reason = null;
+    if (result.error) {
+      reason = 'No branch protection found';
+      logger.info(`🚫 No branch protection found for ${repo.name}/${branch}`);
+    } else if (!result.restricted) {
+      reason = 'Pushes are not restricted';
+      logger.info(`${prefix}ℹ️ [${index + 1}/${total}] Pushes are not restricted on ${repo.name}/${branch}, leaving it alone`);
+    } else if (result.modified) {
+      logger.info(`${prefix}🔐 [${index + 1}/${total}] ${DRY_RUN ? 'Would update' : 'Updated'} push restrictions on: ${repo.name}/${branch}`);
+      if (DRY_RUN) {
+        printSimulation(repo.name, branch, result);
+      }
+    } else {
+      logger.info(`${prefix}✔️ [${index + 1}/${total}] Push restrictions already match on: ${repo.name}/${branch}`);
+    }
+
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: result.error ? 'skipped' : !result.modified ? 'unchanged' : DRY_RUN ? 'simulated' : 'updated',
+        ...(reason ? { reason } : {}),
+        dryRun: DRY_RUN,
+        changes: result.changes
+      });
+    }
+    return true;
+  } catch (error) {
+    const sanitizedError = sanitizeErrorForLogging(error);
+    logger.error(`❌ Failed to update push restrictions on ${repo.name}/${branch}:`, sanitizedError);
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: 'error',
+        error: sanitizedError.message || 'Unknown error'
+      });
+    }
+    return false;
+  }
+}
+
+/**
+ * Exports the protection and the ruleset rules in effect on every protected branch of a repository
+ * @param {Object} client - GitHubClient instance
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @param {Object} rulesetManager - RulesetManager instance
+ * @returns {Promise<boolean>} - true if every branch was exported
+ */
+async function exportRepository(client, branchProtectionManager, owner, repo, index, total, reportData, rulesetManager) {
+  const branches = await resolveRepositoryBranches(client, owner, repo, index, total, reportData);
+  if (!branches) {
+    return false;
+  }
+
+  if (!branches.length) {
+    return true;
+  }
+
+  const withRulesets = await client.supports('rulesets');
+  let success = true;
+  for (const branch of branches) {
+    try {
+      const protection = await branchProtectionManager.getBranchProtection({ owner, repositoryName: repo.name, branch });
+      const rules = withRulesets
+        ? await rulesetManager.getBranchRules({ owner, repositoryName: repo.name, branch })
+        : null;
+
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: 'exported',
+        isDefaultBranch: branch === repo.defaultBranch,
+        visibility: repo.visibility,
+        archived: repo.archived,
+        protection: protection ? branchProtectionManager.toUpdateRequest(protection) : null,
+        rulesets: rules
+      });
+    } catch (error) {
+      success = false;
+      const sanitizedError = sanitizeErrorForLogging(error);
+      logger.error(`❌ Failed to export ${repo.name}/${branch}:`, sanitizedError);
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: 'error',
+        error: sanitizedError.message || 'Unknown error'
+      });
+    }
+  }
+
+  logger.info(`📤 [${index + 1}/${total}] Exported ${branches.length} protected branches of ${repo.name}`);
+  return success;
+}
+
+/**
+ * Writes the inventory collected by the export command
+ * @param {Array} reportData - Collected report data
+ * @param {object} [run] - Run state
+ * @param {boolean} [run.complete] - Whether every repository was exported
+ */
+function writeInventory(reportData, { complete = true } = {}) {
+  const inventory = createInventory(OWNER, reportData, { complete });
+  try {
+    const inventoryDir = path.dirname(INVENTORY_FILE);
+    if (inventoryDir !== '.' && !fs.existsSync(inventoryDir)) {
+      fs.mkdirSync(inventoryDir, { recursive: true });
+    }
+    fs.writeFileSync(INVENTORY_FILE, renderInventory(inventory, INVENTORY_FORMAT));
+    logger.info(`📤 Exported ${inventory.branches.length} protected branches of ${inventory.repositories} repositories to ${INVENTORY_FILE} (${INVENTORY_FORMAT})`);
+  } catch (error) {
+    logger.error(`❌ Failed to write inventory to ${INVENTORY_FILE}:`, sanitizeErrorForLogging(error));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Lists the branches of a repository covered by the policy
+ * @param {Object} client - GitHubClient instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @returns {Promise<Array<{branch: string, rule: Object}>>} - Branches with their rule
+ */
+async function listPolicyBranches(client, owner, repo) {
+  const branchNames = POLICY.needsBranchList()
+    ? await client.listBranches(owner, repo.name)
+    : [repo.defaultBranch];
+  return POLICY.resolveBranches(branchNames, repo.defaultBranch);
+}
+
+/**
+ * Resolves the branches selected by --branch and --all-protected-branches.
+ * Plain branch names are used as given; glob patterns and
+ * --all-protected-branches are matched against the repository's branch list.
+ * @param {Object} client - GitHubClient instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @returns {Promise<string[]>} - Branch names, without duplicates
+ */
+async function selectBranches(client, owner, repo) {
+  // The inventory always covers every protected branch
+  const allProtected = ALL_PROTECTED_BRANCHES || COMMAND === 'export';
+  if (!BRANCH_PATTERNS && !allProtected) {
+    return [repo.defaultBranch];
+  }
+
+  if (allProtected) {
+    const protectedBranches = await client.listBranches(owner, repo.name, { protectedOnly: true });
+    return BRANCH_PATTERNS
+      ? protectedBranches.filter(branch => BRANCH_PATTERNS.some(pattern => matchesGlob(branch, pattern)))
+      : protectedBranches;
+  }
+
+  const branches = BRANCH_PATTERNS.filter(pattern => !isGlob(pattern));
+  const globs = BRANCH_PATTERNS.filter(pattern => isGlob(pattern));
+  if (globs.length) {
+    const branchNames = await client.listBranches(owner, repo.name);
+    branches.push(...branchNames.filter(branch => globs.some(pattern => matchesGlob(branch, pattern))));
+  }
+  return [...new Set(branches)];
+}
+
+/**
+ * Resolves the branches to process for a repository, reporting repositories
+ * where nothing matches or the branch list cannot be read
+ * @param {Object} client - GitHubClient instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<string[]|null>} - Branch names, null on error
+ */
+async function resolveRepositoryBranches(client, owner, repo, index, total, reportData) {
+  let branches;
+  try {
+    branches = await selectBranches(client, owner, repo);
+  } catch (error) {
+    const sanitizedError = sanitizeErrorForLogging(error);
+    logger.error(`❌ Failed to list branches of ${repo.name}:`, sanitizedError);
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        status: 'error',
+        error: sanitizedError.message || 'Unknown error'
+      });
+    }
+    return null;
+  }
+
+  if (!branches.length) {
+    logger.info(`⏭️ [${index + 1}/${total}] No branch of ${repo.name} matches ${BRANCH_PATTERNS ? BRANCH_PATTERNS.join(', ') : 'the selection'}`);
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        status: 'skipped',
+        reason: 'No matching branch',
+        changes: []
+      });
+    }
+  }
+
+  return branches;
+}
+
+/**
+ * Lists the branches of a repository the current command will change
+ * @param {Object} client - GitHubClient instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @returns {Promise<string[]>} - Branch names
+ */
+async function targetBranchesFor(client, owner, repo) {
+  if (COMMAND === 'apply') {
+    return (await listPolicyBranches(client, owner, repo)).map(target => target.branch);
+  }
+  return selectBranches(client, owner, repo);
+}
+
+/**
+ * Snapshots the full branch protection of every targeted branch, so a bulk
+ * change can be undone with the restore command. Repositories are read with
+ * the same bounded worker pool as the run itself. The backup stops at the first
+ * repository that cannot be read, since the change must not run without a full
+ * snapshot; Ctrl+C stops it the same way.
+ * @param {Object} github - GitHub API instance
+ * @param {Array} repos - Repositories about to be processed
+ * @returns {Promise<string>} - Path of the snapshot file
+ */
+async function backupBranchProtection(github, repos) {
+  let cancelled = false;
+  let failure = null;
+  const onInterrupt = () => {
+    if (cancelled) {
+      logger.error('🛑 Aborted');
+      process.exit(EXIT_CODE_INTERRUPTED);
+    }
+    cancelled = true;
+    logger.warn('🛑 Interrupted: stopping the backup, no changes will be made');
+  };
+  process.on('SIGINT', onInterrupt);
+
+  const progress = createProgress(repos.length);
+  let lastProgressAt = Date.now();
+
+  try {
+    const { results } = await runWorkerPool(
+      repos,
+      async repo => {
+        const branches = await targetBranchesFor(github.client, OWNER, repo);
+        const repoEntries = [];
+        for (const branch of branches) {
+          const protection = await github.branchProtectionManager.getBranchProtection({
+            owner: OWNER,
+            repositoryName: repo.name,
+            branch
+          });
+          repoEntries.push({ repository: repo.name, branch, protection: protection || null });
+        }
+        return repoEntries;
+      },
+      {
+        concurrency: MAX_CONCURRENCY,
+        isCancelled: () => cancelled || Boolean(failure),
+        onSettled: ({ item, error, completed }) => {
+          if (error && !failure) {
+            failure = new Error(`Cannot read branch protection of ${item.name}: ${sanitizeErrorForLogging(error).message || 'Unknown error'}`);
+          }
+
+          const now = Date.now();
+          if (now - lastProgressAt >= PROGRESS_INTERVAL || completed === repos.length) {
+            lastProgressAt = now;
+            logger.info(`💾 Backup: ${progress(completed)}`);
+          } else {
+            logger.debug(`💾 Backup: ${progress(completed)}`);
+          }
+        }
+      }
+    );
+
+    if (failure) {
+      throw failure;
+    }
+    if (cancelled) {
+      logger.warn('🛑 Backup interrupted, no changes were made');
+      process.exit(EXIT_CODE_INTERRUPTED);
+    }
+
+    const entries = results.flat();
+    return writeSnapshot(createSnapshot(OWNER, entries), BACKUP_DIR);
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Restores every branch recorded in the snapshot file
+ * @param {Object} github - GitHub API instance
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<{total: number, succeeded: number}>} - Entry counts
+ */
+async function runRestore(github, reportData) {
+  let snapshot;
+  try {
+    snapshot = readSnapshot(RESTORE_FILE);
+  } catch (error) {
+    logger.error(`❌ Error: Cannot read snapshot: ${error.message}`);
+    process.exit(1);
+  }
+  if (snapshot.owner.toLowerCase() !== OWNER.toLowerCase()) {
+    logger.error(`❌ Error: Snapshot was taken for ${snapshot.owner}, not ${OWNER}`);
+    process.exit(1);
+  }
+
+  const entries = snapshot.entries.filter(entry => !SPECIFIC_REPO || entry.repository === SPECIFIC_REPO);
+  logger.info(`💾 Restoring ${entries.length} branches from snapshot of ${snapshot.created}`);
+
+  let succeeded = 0;
+  for (const [index, entry] of entries.entries()) {
+    const label = `[${index + 1}/${entries.length}] ${entry.repository}/${entry.branch}`;
+    try {
+      const result = await github.branchProtectionManager.restoreBranchProtection({
+        owner: OWNER,
+        repositoryName: entry.repository,
+        branch: entry.branch,
+        protection: entry.protection,
+        dryRun: DRY_RUN
+      });
+
+      if (result.action === 'unchanged') {
+        logger.info(`✔️ ${label} already matches the snapshot`);
+      } else if (DRY_RUN) {
+        logger.info(`📝 [DRY RUN] ${label}: protection would be ${result.action}`);
+      }
+
+      if (reportData) {
+        reportData.push({ repository: entry.repository, branch: entry.branch, status: result.action, dryRun: DRY_RUN });
+      }
+      succeeded++;
+    } catch (error) {
+      const sanitizedError = sanitizeErrorForLogging(error);
+      logger.error(`❌ Failed to restore ${entry.repository}/${entry.branch}:`, sanitizedError);
+      if (reportData) {
+        reportData.push({ repository: entry.repository, branch: entry.branch, status: 'error', error: sanitizedError.message || 'Unknown error' });
+      }
+    }
+  }
+
+  return { total: entries.length, succeeded };
+}
+
+/**
+ * Resolves the branches of a repository covered by the policy, reporting
+ * repositories where no rule matches
+ * @param {Object} client - GitHubClient instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<Array<{branch: string, rule: Object}>|null>} - Branches with their rule, null on error
+ */
+async function resolvePolicyTargets(client, owner, repo, index, total, reportData) {
+  let targets;
+  try {
+    targets = await listPolicyBranches(client, owner, repo);
+  } catch (error) {
+    const sanitizedError = sanitizeErrorForLogging(error);
+    logger.error(`❌ Failed to list branches of ${repo.name}:`, sanitizedError);
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        status: 'error',
+        error: sanitizedError.message || 'Unknown error'
+      });
+    }
+    return null;
+  }
+
+  if (!targets.length) {
+    logger.info(`⏭️ [${index + 1}/${total}] No policy rule matches a branch of ${repo.name}`);
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        status: 'skipped',
+        reason: 'No policy rule matches a branch',
+        changes: []
+      });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Converges the branches of a repository to the policy, printing the plan for each branch
+ * @param {Object} client - GitHubClient instance
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if every branch was converged
+ */
+async function applyPolicyToRepository(client, branchProtectionManager, owner, repo, index, total, reportData) {
+  const targets = await resolvePolicyTargets(client, owner, repo, index, total, reportData);
+  if (!targets) {
+    return false;
+  }
+
+  let success = true;
+  for (const { branch, rule } of targets) {
+    const params = { owner, repositoryName: repo.name, branch, policy: POLICY, rule };
+    try {
+      const plan = await branchProtectionManager.planPolicy(params);
+      const prefix = DRY_RUN ? '📝 [DRY RUN] ' : '';
+
+      if (!plan.changes.length) {
+        logger.info(`${prefix}✔️ [${index + 1}/${total}] ${repo.name}/${branch} already matches rule "${rule.pattern}"`);
+      } else {
+        const action = plan.createsProtection ? 'create protection' : `${plan.changes.length} changes`;
+        logger.info(`${prefix}📋 [${index + 1}/${total}] Plan for ${repo.name}/${branch} (rule "${rule.pattern}", ${action}):`);
+        plan.changes.forEach(change => logger.info(`    ${formatChange(change)}`));
+
+        if (!DRY_RUN) {
+          await branchProtectionManager.applyPolicy({ ...params, plan });
+        }
+      }
+
+      if (reportData) {
+        reportData.push({
+          repository: repo.name,
+          branch,
+          rule: rule.pattern,
+          status: !plan.changes.length ? 'unchanged' : DRY_RUN ? 'simulated' : 'updated',
+          dryRun: DRY_RUN,
+          createsProtection: plan.createsProtection,
+          changes: plan.changes
+        });
+      }
+    } catch (error) {
+      success = false;
+      const sanitizedError = sanitizeErrorForLogging(error);
+      logger.error(`❌ Failed to apply policy to ${repo.name}/${branch}:`, sanitizedError);
+      if (reportData) {
+        reportData.push({
+          repository: repo.name,
+          branch,
+          rule: rule.pattern,
+          status: 'error',
+          error: sanitizedError.message || 'Unknown error'
+        });
+      }
+    }
+  }
+
+  return success;
+}
+
+/**
+ * Audits the branches of a repository against the baseline policy
+ * @param {Object} client - GitHubClient instance
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect audit results
+ * @returns {Promise<boolean>} - true if every branch could be audited
+ */
+async function auditRepository(client, branchProtectionManager, owner, repo, index, total, reportData) {
+  const targets = await resolvePolicyTargets(client, owner, repo, index, total, reportData);
+  if (!targets) {
+    return false;
+  }
+
+  let success = true;
+  for (const { branch, rule } of targets) {
+    try {
+      const result = await branchProtectionManager.auditPolicy({
+        owner,
+        repositoryName: repo.name,
+        branch,
+        policy: POLICY,
+        rule
+      });
+
+      if (result.violations.length) {
+        logger.warn(`🚨 [${index + 1}/${total}] ${repo.name}/${branch}: ${result.violations.length} violations`);
+        result.violations.forEach(violation => logger.info(`    - ${violation.message}`));
+      } else {
+        logger.info(`✅ [${index + 1}/${total}] ${repo.name}/${branch} is compliant`);
+      }
+
+      reportData.push({
+        repository: repo.name,
+        branch,
+        rule: rule.pattern,
+        status: result.violations.length ? 'violation' : 'compliant',
+        violations: result.violations
+      });
+    } catch (error) {
+      success = false;
+      const sanitizedError = sanitizeErrorForLogging(error);
+      logger.error(`❌ Failed to audit ${repo.name}/${branch}:`, sanitizedError);
+      reportData.push({
+        repository: repo.name,
+        branch,
+        rule: rule.pattern,
+        status: 'error',
+        error: sanitizedError.message || 'Unknown error'
+      });
+    }
+  }
+
+  return success;
+}
+
+/**
+ * Prints the audit violations grouped by repository and sets the exit code
+ * @param {Array} reportData - Audit results
+ */
+function summarizeAudit(reportData) {
+  const failing = reportData.filter(entry => entry.status === 'violation');
+  const errors = reportData.filter(entry => entry.status === 'error');
+
+  if (!failing.length) {
+    logger.info(`✅ Audit passed: no violations found`);
+  } else {
+    const count = failing.reduce((sum, entry) => sum + entry.violations.length, 0);
+    logger.warn(`🚨 Audit failed: ${count} violations on ${failing.length} branches`);
+
+    const byRepository = new Map();
+    failing.forEach(entry => {
+      byRepository.set(entry.repository, [...(byRepository.get(entry.repository) || []), entry]);
+    });
+    for (const [repository, entries] of byRepository) {
+      logger.info(`  ${repository}`);
+      entries.forEach(entry => {
+        entry.violations.forEach(violation => logger.info(`    ${entry.branch}: ${violation.message}`));
+      });
+    }
+    process.exitCode = EXIT_CODE_VIOLATIONS;
+  }
+
+  if (errors.length) {
+    logger.warn(`⚠️ ${errors.length} repositories or branches could not be audited`);
+    process.exitCode = process.exitCode || 1;
+  }
+}
+
+/**
+ * Decides whether a ruleset file targets the organization or each repository
+ * @param {Object} ruleset - Ruleset loaded from a file
+ * @returns {boolean} - true for organization rulesets
+ */
+function isOrganizationScope(ruleset) {
+  if (RULESET_SCOPE === 'auto') {
+    return RulesetManager.isOrganizationRuleset(ruleset);
+  }
+  return RULESET_SCOPE === 'org';
+}
+
+/**
+ * Runs a ruleset action (list, export, create, update, delete) against the
+ * organization and/or the selected repositories
+ * @param {Object} github - GitHub API instance
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<{total: number, succeeded: number}>} - Operation counts
+ */
+async function runRulesets(github, reportData) {
+  const { rulesetManager } = github;
+  const readOnly = RULESET_ACTION === 'list' || RULESET_ACTION === 'export';
+  if (RULESET_NAMES && RULESET_ACTION !== 'delete') {
+    logger.error(`❌ Error: --name only applies to rulesets delete, ${RULESET_ACTION} works on ruleset files`);
+    process.exit(1);
+  }
+
+  let files = [];
+  if (!readOnly && !RULESET_NAMES) {
+    try {
+      files = RulesetManager.loadFiles(RULESET_PATHS);
+    } catch (error) {
+      logger.error(`❌ Error: Cannot load ruleset file ${error.message}`);
+      process.exit(1);
+    }
+    logger.info(`📜 Loaded ${files.length} ruleset files`);
+
+    if (RULESET_ACTION !== 'delete') {
+      // Source fields are stripped on import, so they are not an error here
+      const validator = new RulesetValidator({ allowSourceFields: true });
+      const errors = files.flatMap(({ file, ruleset }) =>
+        validator.validateRuleset(ruleset).map(error => ({ file, ...error }))
+      );
+      if (errors.length) {
+        errors.forEach(error => logger.error(`❌ ${error.file}: ${error.path}: ${error.message}`));
+        logger.error(`❌ Error: ${errors.length} validation errors in ruleset files, nothing was applied`);
+        process.exit(1);
+      }
+    }
+  }
+
+  // Deleting by name uses the --scope option to pick organization or repositories
+  const items = RULESET_NAMES
+    ? RULESET_NAMES.map(name => ({ file: null, ruleset: { name, source_type: RULESET_SCOPE === 'org' ? 'Organization' : 'Repository' } }))
+    : files;
+  const orgItems = items.filter(item => isOrganizationScope(item.ruleset));
+  const repoItems = items.filter(item => !isOrganizationScope(item.ruleset));
+
+  // Targets are repository names, or null for the organization
+  const targets = [];
+  if (readOnly ? RULESET_SCOPE !== 'repo' : orgItems.length) {
+    if (await github.client.getOwnerType(OWNER) === 'Organization') {
+      targets.push({ repositoryName: null, items: orgItems });
+    } else if (!readOnly || RULESET_SCOPE === 'org') {
+      logger.warn(`⚠️ ${OWNER} is a user account without organization rulesets, skipping ${readOnly ? 'organization scope' : `${orgItems.length} organization ruleset files`}`);
+    }
+  }
+  if (readOnly ? RULESET_SCOPE !== 'org' : repoItems.length) {
+    const repos = await listValidRepositories(github.client);
+    repos.forEach(repo => targets.push({ repositoryName: repo.name, items: repoItems }));
+  }
+
+  let total = 0;
+  let succeeded = 0;
+  for (const { repositoryName, items: targetItems } of targets) {
+    const scope = repositoryName || `organization ${OWNER}`;
+
+    if (readOnly) {
+      total++;
+      try {
+        const rulesets = await rulesetManager.listRulesets({ owner: OWNER, repositoryName });
+        logger.info(`📚 ${scope}: ${rulesets.length} rulesets`);
+        rulesets.forEach(ruleset => {
+          logger.info(`    #${ruleset.id} ${ruleset.name} (${ruleset.target}, ${ruleset.enforcement})`);
+          if (RULESET_ACTION === 'export') {
+            exportRuleset(ruleset, repositoryName);
+          }
+        });
+        if (reportData) {
+          reportData.push({
+            repository: repositoryName || null,
+            status: RULESET_ACTION === 'export' ? 'exported' : 'listed',
+            rulesets: rulesets.map(ruleset => ({ id: ruleset.id, name: ruleset.name, target: ruleset.target, enforcement: ruleset.enforcement }))
+          });
+        }
+        succeeded++;
+      } catch (error) {
+        const sanitizedError = sanitizeErrorForLogging(error);
+        logger.error(`❌ Failed to list rulesets for ${scope}:`, sanitizedError);
+        if (reportData) {
+          reportData.push({ repository: repositoryName || null, status: 'error', error: sanitizedError.message || 'Unknown error' });
+        }
+      }
+      continue;
+    }
+
+    for (const { file, ruleset } of targetItems) {
+      total++;
+      const params = { owner: OWNER, repositoryName, dryRun: DRY_RUN };
+      try {
+        let result;
+        if (RULESET_ACTION === 'create') {
+          result = await rulesetManager.createRuleset({ ...params, ruleset });
+        } else if (RULESET_ACTION === 'update') {
+          result = await rulesetManager.updateRuleset({ ...params, ruleset });
+        } else {
+          result = await rulesetManager.deleteRuleset({ ...params, name: ruleset.name });
+        }
+
+        // Applied changes are logged by the ruleset manager
+        if (result.action === 'unchanged') {
+          logger.info(`✔️ Ruleset "${ruleset.name}" is up to date on ${scope}`);
+        } else if (result.action === 'absent') {
+          logger.info(`✔️ Ruleset "${ruleset.name}" does not exist on ${scope}`);
+        } else if (DRY_RUN) {
+          logger.info(`📝 [DRY RUN] Would have ${result.action} ruleset "${ruleset.name}" on ${scope}`);
+        }
+        if (reportData) {
+          reportData.push({
+            repository: repositoryName || null,
+            ruleset: ruleset.name,
+            file,
+            status: result.action,
+            dryRun: DRY_RUN,
+            rulesetId: result.id
+          });
+        }
+        succeeded++;
+      } catch (error) {
+        const sanitizedError = sanitizeErrorForLogging(error);
+        logger.error(`❌ Failed to ${RULESET_ACTION} ruleset "${ruleset.name}" on ${scope}:`, sanitizedError);
+        if (reportData) {
+          reportData.push({
+            repository: repositoryName || null,
+            ruleset: ruleset.name,
+            file,
+            status: 'error',
+            error: sanitizedError.message || 'Unknown error'
+          });
+        }
+      }
+    }
+  }
+
+  return { total, succeeded };
+}
+
+/**
+ * Validates ruleset files offline and sets a failing exit code on errors
+ */
+function runValidate() {
+  const validator = new RulesetValidator({ allowSourceFields: ALLOW_SOURCE_FIELDS });
+
+  let files;
+  try {
+    files = RulesetManager.findFiles(RULESET_PATHS);
+  } catch (error) {
+    logger.error(`❌ Error: Cannot read ruleset files: ${error.message}`);
+    process.exit(1);
+  }
+
+  let errorCount = 0;
+  for (const file of files) {
+    const result = validator.validateFile(file);
+    if (result.valid) {
+      logger.info(`✅ ${file}`);
+      continue;
+    }
+    errorCount += result.errors.length;
+    logger.warn(`❌ ${file}`);
+    result.errors.forEach(error => logger.info(`    ${error.path}: ${error.message}`));
+  }
+
+  if (errorCount) {
+    logger.error(`❌ ${errorCount} validation errors in ${files.length} ruleset files`);
+    process.exitCode = 1;
+  } else {
+    logger.info(`🎉 All ${files.length} ruleset files are valid`);
+  }
+}
+
+/**
+ * Compares two inventories or snapshots offline and prints or writes the changes
+ */
+function runDiff() {
+  // Snapshots hold protection as returned by the API; no requests are made to convert it
+  const manager = new BranchProtectionManager(null);
+  let before;
+  let after;
+  try {
+    [before, after] = DIFF_FILES.map(file => readInventory(file, protection => manager.toUpdateRequest(protection)));
+  } catch (error) {
+    logger.error(`❌ Error: Cannot read inventory: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (before.owner.toLowerCase() !== after.owner.toLowerCase()) {
+    logger.warn(`⚠️ Comparing inventories of different owners: ${before.owner} and ${after.owner}`);
+  }
+
+  const comparison = compareInventories(before, after);
+  const output = renderInventoryDiff(comparison, DIFF_FORMAT);
+  if (!DIFF_OUTPUT) {
+    process.stdout.write(output);
+    return;
+  }
+
+  // Written to a file the warnings would otherwise go unnoticed
+  comparison.warnings.forEach(warning => logger.warn(`⚠️ ${warning}`));
+  try {
+    fs.writeFileSync(DIFF_OUTPUT, output);
+    logger.info(`💾 Comparison saved to ${DIFF_OUTPUT}`);
+  } catch (error) {
+    logger.error(`❌ Failed to write comparison to ${DIFF_OUTPUT}:`, error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Writes a ruleset to the export directory, in the shape of the checked-in ruleset files
+ * @param {Object} ruleset - Ruleset from the API
+ * @param {string|null} repositoryName - Repository name, or null for organization rulesets
+ */
+function exportRuleset(ruleset, repositoryName) {
+  const directory = path.join(RULESET_OUTPUT_DIR, repositoryName || 'org-rulesets');
+  const fileName = `${ruleset.name.replace(/[^a-zA-Z0-9._-]+/g, '-')}.json`;
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, fileName), `${JSON.stringify(RulesetManager.toExport(ruleset), null, 2)}\n`);
+}
+
+/**
+ * Migrates the classic protection of a repository's targeted branches into rulesets
+ * @param {Object} client - GitHubClient instance
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @param {Object} rulesetManager - RulesetManager instance
+ * @returns {Promise<boolean>} - true if successful
+ */
+async function migrateRepository(client, branchProtectionManager, owner, repo, index, total, reportData, rulesetManager) {
+  const branches = await resolveRepositoryBranches(client, owner, repo, index, total, reportData);
+  if (!branches) {
+    return false;
+  }
+
+  let success = true;
+  for (const branch of branches) {
+    success = await migrateBranch(branchProtectionManager, rulesetManager, owner, repo, branch, index, total, reportData) && success;
+  }
+  return success;
+}
 
-    // Validate input before processing
-    const validRepos = repos.filter(repo => {
-      if (!repo.name || !repo.defaultBranch) {
-        logger.warn(`⚠️ Skipping repository with missing name or default branch: ${JSON.stringify(repo)}`);
-        return false;
+/**
+ * Migrates the classic protection of a single branch into a ruleset
+ * @param {Object} branchProtectionManager - BranchProtectionManager instance
+ * @param {Object} rulesetManager - RulesetManager instance
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository object
+ * @param {string} branch - Branch to migrate
+ * @param {number} index - Current repository index
+ * @param {number} total - Total number of repositories
+ * @param {Array} reportData - Array to collect report data
+ * @returns {Promise<boolean>} - true if successful
+ */
+async function migrateBranch(branchProtectionManager, rulesetManager, owner, repo, branch, index, total, reportData) {
+  try {
+    const protection = await branchProtectionManager.getBranchProtection({
+      owner,
+      repositoryName: repo.name,
+      branch
+    });
+    if (!protection) {
+      logger.info(`🚫 [${index + 1}/${total}] No branch protection to migrate on ${repo.name}/${branch}`);
+      if (reportData) {
+        reportData.push({ repository: repo.name, branch, status: 'skipped', reason: 'No branch protection found' });
       }
       return true;
+    }
+
+    const { ruleset, unmapped } = RulesetManager.fromBranchProtection(
+      branchProtectionManager.toUpdateRequest(protection),
+      {
+        branch,
+        isDefaultBranch: branch === repo.defaultBranch,
+        name: MIGRATION_RULESET_NAME || `Migrated protection: ${branch}`
+      }
+    );
+
+    const existing = await rulesetManager.findRuleset({
+      owner,
+      repositoryName: repo.name,
+      name: ruleset.name
     });
+    const changes = diffObjects(existing ? RulesetManager.toRequest(existing) : {}, ruleset);
+
+    const prefix = DRY_RUN ? '📝 [DRY RUN] ' : '';
+    logger.info(`${prefix}🔀 [${index + 1}/${total}] ${repo.name}/${branch} → ruleset "${ruleset.name}" (${existing ? `${changes.length} changes` : 'new'})`);
+    changes.forEach(change => logger.info(`    ${formatChange(change)}`));
+    unmapped.forEach(item => logger.warn(`    ⚠️ Not migrated: ${item.setting} (${item.reason})`));
+
+    let removedClassic = false;
+    if (!DRY_RUN) {
+      await rulesetManager.updateRuleset({ owner, repositoryName: repo.name, ruleset, existing: existing || null });
+
+      if (REMOVE_CLASSIC && unmapped.length && !ALLOW_UNMAPPED) {
+        logger.warn(`⚠️ Keeping classic protection on ${repo.name}/${branch}: ${unmapped.length} settings were not migrated (use --allow-unmapped to remove it anyway)`);
+      } else if (REMOVE_CLASSIC) {
+        await branchProtectionManager.removeBranchProtection({
+          owner,
+          repositoryName: repo.name,
+          branch
+        });
+        removedClassic = true;
+      }
+    }
+
+    if (reportData) {
+      reportData.push({
+        repository: repo.name,
+        branch,
+        status: DRY_RUN ? 'simulated' : 'migrated',
+        dryRun: DRY_RUN,
+        ruleset: ruleset.name,
+        changes,
+        unmapped,
+        removedClassic
+      });
+    }
+
+    return true;
+  } catch (error) {
+    const sanitizedError = sanitizeErrorForLogging(error);
+    logger.error(`❌ Failed to migrate ${repo.name}/${branch}:`, sanitizedError);
+    if (reportData) {
+      reportData.push({ repository: repo.name, branch, status: 'error', error: sanitizedError.message || 'Unknown error' });
+    }
+    return false;
+  }
+}
+
+/**
+ * Sanitizes error objects to remove sensitive information before logging
+ * @param {Error} error - The error object to sanitize
+ * @returns {Object} - A sanitized version of the error
+ */
+function sanitizeErrorForLogging(error) {
+  if (!error) return 'Unknown error';
+  
+  // Create a new object with only safe properties
+  const sanitized = {
+    name: error.name,
+    message: error.message,
+    status: error.status,
+    code: error.code
+  };
+  
+  // Remove any tokens or secrets from error message
+  if (sanitized.message) {
+    sanitized.message = logger.redact(sanitized.message);
+  }
+  
+  return sanitized;
+}
+/**
+ * Processes repositories with a bounded worker pool that keeps MAX_CONCURRENCY
+ * repositories in flight. The first Ctrl+C stops starting new repositories and
+ * lets those in flight finish, so the report still covers everything that was
+ * touched; a second Ctrl+C exits immediately.
+ * @param {Object} github - GitHub API instance
+ * @param {string} owner - Repository owner
+ * @param {Array} repos - Array of repository objects
+ * @param {Array} [reportData] - Array to collect report data
+ * @param {Function} [processor] - Function processing a single repository
+ * @param {string} [journalFile] - Journal recording the outcome of every repository
+ * @returns {Promise<{updated: number, processed: number, cancelled: boolean}>} - Successful and processed
+ *   repository counts, and whether the run was interrupted
+ */
+async function updateBranchProtection(github, owner, repos, reportData = null, processor = processRepository, journalFile = null) {
+  let cancelled = false;
+  const onInterrupt = () => {
+    if (cancelled) {
+      logger.error('🛑 Aborted');
+      process.exit(EXIT_CODE_INTERRUPTED);
+    }
+    cancelled = true;
+    logger.warn('🛑 Interrupted: finishing repositories in progress, press Ctrl+C again to abort immediately');
+  };
+  process.on('SIGINT', onInterrupt);
+
+  const progress = createProgress(repos.length);
+  let lastProgressAt = Date.now();
+  let updatedRepos = 0;
+
+  try {
+    // Each repository collects its own entries, so they can be journaled together once it finishes
+    const collectEntries = Boolean(reportData || journalFile);
+    const repoReports = repos.map(() => (collectEntries ? [] : null));
+
+    const { completed, cancelled: stopped } = await runWorkerPool(
+      repos,
+      (repo, index) => processor(github.client, github.branchProtectionManager, owner, repo, index, repos.length, repoReports[index], github.rulesetManager),
+      {
+        concurrency: MAX_CONCURRENCY,
+        isCancelled: () => cancelled,
+        onSettled: ({ item, index, result, error, completed: done }) => {
+          const entries = repoReports[index];
+          if (error) {
+            const sanitizedError = sanitizeErrorForLogging(error);
+            logger.error(`❌ Failed to process ${item.name}:`, sanitizedError);
+            if (entries) {
+              entries.push({ repository: item.name, status: 'error', error: sanitizedError.message || 'Unknown error' });
+            }
+          } else if (result) {
+            updatedRepos++;
+          }
+
+          if (reportData) {
+            reportData.push(...entries);
+          }
+          if (journalFile) {
+            try {
+              recordOutcome(journalFile, { repository: item.name, success: !error && Boolean(result), entries });
+            } catch (journalError) {
+              logger.error(`❌ Failed to write journal ${journalFile}:`, sanitizeErrorForLogging(journalError));
+            }
+          }
+
+          const now = Date.now();
+          if (now - lastProgressAt >= PROGRESS_INTERVAL || done === repos.length) {
+            lastProgressAt = now;
+            logger.info(`📈 Progress: ${progress(done)}`);
+          } else {
+            logger.debug(`📈 Progress: ${progress(done)}`);
+          }
+        }
+      }
+    );
+
+    return { updated: updatedRepos, processed: completed, cancelled: stopped };
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Describes the role a repository listing grants the authenticated user
+ * @param {Object} permissions - Repository permissions from the listing
+ * @returns {string} - Role name
+ */
+function describeRole(permissions) {
+  if (permissions.admin) return 'admin';
+  if (permissions.maintain) return 'maintain';
+  if (permissions.push) return 'write';
+  if (permissions.triage) return 'triage';
+  return permissions.pull ? 'read' : 'none';
+}
+
+/**
+ * Finds the reasons a repository cannot be processed with the given credentials.
+ * Reading branch protection already requires admin access, so dry runs and
+ * audits are checked too; they only need read access for GitHub Apps.
+ * @param {Object} access - Token access from GitHubClient.getTokenAccess
+ * @param {Object} repo - Repository object
+ * @param {boolean} needsWrite - Whether the run changes branch protection
+ * @returns {string[]} - Problems, empty if the repository can be processed
+ */
+function checkRepositoryAccess(access, repo, needsWrite) {
+  const problems = [];
+
+  if (access.type === 'classic') {
+    const hasScope = access.scopes.includes('repo') ||
+      (access.scopes.includes('public_repo') && repo.visibility === 'public');
+    if (!hasScope) {
+      problems.push(`Token lacks the "repo" scope${repo.visibility === 'public' ? ' (or "public_repo")' : ''}`);
+    }
+  }
+
+  if (access.type === 'app') {
+    const administration = access.permissions.administration;
+    if (administration !== 'write' && (needsWrite || administration !== 'read')) {
+      problems.push(`App installation lacks Administration ${needsWrite ? 'write' : 'read'} permission`);
+    }
+  } else if (repo.permissions && !repo.permissions.admin) {
+    problems.push(`No admin permission (role: ${describeRole(repo.permissions)})`);
+  }
+
+  return problems;
+}
+
+/**
+ * Checks the token's scopes or permissions and the admin permission on every
+ * repository, printing a table of the repositories the run would fail on
+ * @param {Object} github - GitHub API instance
+ * @param {Array} repos - Repositories to check
+ * @returns {Promise<Array<{repository: string, problem: string}>>} - Problems found
+ */
+async function runPreflight(github, repos) {
+  const access = await github.client.getTokenAccess();
+  const needsWrite = COMMAND === 'preflight' || (!DRY_RUN && COMMAND !== 'audit');
+
+  if (access.type === 'classic') {
+    logger.info(`🛫 Preflight: classic token with scopes ${access.scopes.join(', ') || '(none)'}`);
+  } else if (access.type === 'app') {
+    logger.info(`🛫 Preflight: GitHub App installation with Administration ${access.permissions.administration || 'none'} permission`);
+  } else {
+    logger.info('🛫 Preflight: fine-grained token, its granted permissions cannot be read, checking repository roles only');
+  }
+
+  const problems = repos.flatMap(repo =>
+    checkRepositoryAccess(access, repo, needsWrite).map(problem => ({ repository: repo.name, problem }))
+  );
+
+  if (!problems.length) {
+    logger.info(`✅ Preflight passed for ${repos.length} repositories`);
+    return problems;
+  }
+
+  const width = Math.max('Repository'.length, ...problems.map(({ repository }) => repository.length));
+  logger.warn(`⚠️ ${new Set(problems.map(({ repository }) => repository)).size} of ${repos.length} repositories would fail:`);
+  logger.info(`    ${'Repository'.padEnd(width)}  Problem`);
+  problems.forEach(({ repository, problem }) => logger.info(`    ${repository.padEnd(width)}  ${problem}`));
+  return problems;
+}
+
+/**
+ * Validates GitHub token by making a simple API call
+ * @param {Object} client - GitHubClient instance
+ * @returns {Promise<boolean>} - true if token is valid
+ */
+async function validateToken(client) {
+  try {
+    const result = await client.validateToken();
+    if (result.valid) {
+      logger.info("✅ GitHub token validated successfully");
+      return true;
+    } else {
+      logger.error("❌ Invalid GitHub token:", result.error);
+      return false;
+    }
+  } catch (error) {
+    logger.error("❌ Invalid GitHub token:", sanitizeErrorForLogging(error));
+    return false;
+  }
+}
+
+/**
+ * Lists the repositories to process, skipping entries without a name or default branch
+ * @param {Object} client - GitHubClient instance
+ * @returns {Promise<Array>} - Array of repository objects
+ */
+async function listValidRepositories(client) {
+  const names = REPOS_FILE ? readRepositoryList(REPOS_FILE) : null;
+  const filter = createRepositoryFilter({ ...REPOSITORY_FILTERS, names });
+  const repos = await listRepositories(client, OWNER);
+
+  if (names) {
+    const found = new Set(repos.map(repo => repo.name.toLowerCase()));
+    names
+      .filter(name => !found.has(name.toLowerCase()))
+      .forEach(name => logger.warn(`⚠️ Repository ${name} from ${REPOS_FILE} not found for ${OWNER}`));
+  }
+
+  // Validate input before processing
+  let skipped = 0;
+  const selected = repos.filter(repo => {
+    if (!repo.name || !repo.defaultBranch) {
+      logger.warn(`⚠️ Skipping repository with missing name or default branch: ${JSON.stringify(repo)}`);
+      return false;
+    }
+    const reason = filter(repo);
+    if (reason) {
+      skipped++;
+      logger.debug(`⏭️ Skipping ${repo.name}: ${reason}`);
+      return false;
+    }
+    return true;
+  });
+
+  if (skipped) {
+    logger.info(`🔎 Selected ${selected.length} of ${repos.length} repositories (${skipped} filtered out)`);
+  }
+  return selected;
+}
+
+/**
+ * Describes the options of the current run, recorded in reports and journals
+ * @returns {Object} - Run options
+ */
+function runOptions() {
+  return {
+    specificRepo: SPECIFIC_REPO,
+    branches: BRANCH_PATTERNS,
+    allProtectedBranches: ALL_PROTECTED_BRANCHES,
+    repositoryFilters: { ...REPOSITORY_FILTERS, reposFile: REPOS_FILE },
+    dryRun: DRY_RUN,
+    customChecks: CUSTOM_CHECKS,
+    checksToAdd: CHECKS_TO_ADD,
+    replaceCheck: REPLACE_FROM ? { from: REPLACE_FROM, to: REPLACE_TO } : null,
+    reviewSettings: REVIEW_CHANGES,
+    pushActors: PUSH_ACTORS,
+    policyFile: POLICY_FILE
+  };
+}
+
+/**
+ * Opens the journal given with --resume and checks it belongs to this run
+ * @returns {{header: Object, outcomes: Map<string, Object>}} - Journal contents
+ */
+function openResumeJournal() {
+  let journal;
+  try {
+    journal = readJournal(RESUME_FILE);
+  } catch (error) {
+    logger.error(`❌ Error: Cannot read journal: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { header } = journal;
+  const command = COMMAND || 'checks';
+  if (header.owner.toLowerCase() !== OWNER.toLowerCase() || header.command !== command) {
+    logger.error(`❌ Error: Journal was written for "${header.command}" on ${header.owner}, not "${command}" on ${OWNER}`);
+    process.exit(1);
+  }
+  if (JSON.stringify(header.options) !== JSON.stringify(runOptions())) {
+    logger.warn("⚠️ Journal was written with different options, resuming with the current ones");
+  }
+  return journal;
+}
 
-    const updatedRepos = await updateBranchProtection(github, OWNER, validRepos, reportData);
+/**
+ * Writes the report file in the requested format, if one was requested
+ * @param {Array} reportData - Collected report data
+ * @param {number} totalRepositories - Number of repositories processed
+ * @param {number} updatedRepos - Number of repositories processed successfully
+ * @param {object} [run] - Run state
+ * @param {number} [run.processed] - Number of repositories processed before an interruption
+ * @param {boolean} [run.interrupted] - Whether the run was stopped with Ctrl+C
+ */
+function writeReport(reportData, totalRepositories, updatedRepos, { processed = totalRepositories, interrupted = false } = {}) {
+  if (!REPORT_FILE || !reportData) {
+    return;
+  }
 
-    logger.info(`\U0001F389 Process completed. Updated ${updatedRepos} out of ${validRepos.length} repositories.`);
+  try {
+    // Create report object with metadata
+    const report = {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      generated: new Date().toISOString(),
+      command: COMMAND || 'checks',
+      owner: OWNER,
+      ...runOptions(),
+      summary: {
+        totalRepositories,
+        repositoriesProcessed: processed,
+        interrupted,
+        repositoriesUpdated: updatedRepos,
+        repositoriesWithErrors: reportData.filter(r => r.status === 'error').length,
+        repositoriesSkipped: reportData.filter(r => r.status === 'skipped').length,
+        violations: reportData.reduce((sum, r) => sum + (r.violations?.length || 0), 0)
+      },
+      details: reportData
+    };
     
-    // Generate report file if specified
-    if (REPORT_FILE && reportData) {
+    // Ensure directory exists
+    const reportDir = path.dirname(REPORT_FILE);
+    if (reportDir !== '.' && !fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    // Write report to file
+    fs.writeFileSync(REPORT_FILE, renderReport(report, REPORT_FORMAT));
+    logger.info(`\U0001F4BE Report saved to ${REPORT_FILE} (${REPORT_FORMAT})`);
+  } catch (error) {
+    logger.error(`❌ Failed to write report to ${REPORT_FILE}:`, sanitizeErrorForLogging(error));
+  }
+}
+
+async function run() {
+  if (COMMAND === 'validate') {
+    runValidate();
+    return;
+  }
+  if (COMMAND === 'diff') {
+    runDiff();
+    return;
+  }
+
+  // Initialize GitHub API with factory function
+  const github = createGithubAPI(APP_ID
+    ? { appId: Number(APP_ID), privateKey: PRIVATE_KEY, installationId: INSTALLATION_ID }
+    : TOKEN, API_URL ? { baseUrl: API_URL } : {});
+  // Initialize report data array if reporting is enabled (audits always collect results)
+  const reportData = REPORT_FILE || COMMAND === 'audit' || COMMAND === 'export' ? [] : null;
+
+  try {
+    // Validate the GitHub token before proceeding
+    const isTokenValid = await validateToken(github.client);
+    if (!isTokenValid) {
+      logger.error("❌ Cannot proceed with an invalid GitHub token");
+      process.exit(1);
+    }
+
+    if (APP_ID) {
       try {
-        // Create report object with metadata
-        const report = {
-          generated: new Date().toISOString(),
-          owner: OWNER,
-          specificRepo: SPECIFIC_REPO,
-          specificBranch: SPECIFIC_BRANCH,
-          dryRun: DRY_RUN,
-          customChecks: CUSTOM_CHECKS,
-          summary: {
-            totalRepositories: validRepos.length,
-            repositoriesUpdated: updatedRepos,
-            repositoriesWithErrors: reportData.filter(r => r.status === 'error').length,
-            repositoriesSkipped: reportData.filter(r => r.status === 'skipped').length
-          },
-          details: reportData
-        };
-        
-        // Ensure directory exists
-        const reportDir = path.dirname(REPORT_FILE);
-        if (reportDir !== '.' && !fs.existsSync(reportDir)) {
-          fs.mkdirSync(reportDir, { recursive: true });
+        await github.client.useInstallation(OWNER);
+      } catch (error) {
+        logger.error(`❌ Cannot authenticate as the GitHub App installation for ${OWNER}:`, sanitizeErrorForLogging(error));
+        process.exit(1);
+      }
+    }
+
+    if (github.client.isEnterprise()) {
+      const version = await github.client.getServerVersion();
+      logger.info(`🏢 Using GitHub Enterprise Server ${version || '(unknown version)'} at ${API_URL}`);
+
+      if ((COMMAND === 'rulesets' || COMMAND === 'migrate-to-rulesets') && !(await github.client.supports('rulesets'))) {
+        logger.error(`❌ Error: Rulesets require GitHub Enterprise Server ${GitHubClient.GHES_FEATURES.rulesets} or newer`);
+        process.exit(1);
+      }
+    }
+
+    if (COMMAND === 'restore') {
+      const { total, succeeded } = await runRestore(github, reportData);
+      logger.info(`🎉 Restore completed. ${succeeded} out of ${total} branches restored or already matching.`);
+      writeReport(reportData, total, succeeded);
+      return;
+    }
+
+    if (COMMAND === 'rulesets') {
+      const { total, succeeded } = await runRulesets(github, reportData);
+      logger.info(`🎉 Process completed. ${succeeded} out of ${total} ruleset operations succeeded.`);
+      writeReport(reportData, total, succeeded);
+      return;
+    }
+
+    const validRepos = await listValidRepositories(github.client);
+    if (validRepos.length === 0) {
+      logger.warn("⚠️ No repositories to process");
+      return;
+    }
+
+    if (COMMAND === 'restrictions') {
+      await checkPushActors(github.client);
+    }
+
+    // Repositories finished by the run being resumed are skipped, failed ones are retried
+    let journalFile = null;
+    let reposToProcess = validRepos;
+    let resumed = 0;
+    if (RESUME_FILE) {
+      const { outcomes } = openResumeJournal();
+      const finished = validRepos.filter(repo => outcomes.get(repo.name)?.success);
+      reposToProcess = validRepos.filter(repo => !outcomes.get(repo.name)?.success);
+      if (reportData) {
+        finished.forEach(repo => reportData.push(...outcomes.get(repo.name).entries));
+      }
+      resumed = finished.length;
+      journalFile = RESUME_FILE;
+      logger.info(`📓 Resuming from ${RESUME_FILE}: ${resumed} repositories already done, ${reposToProcess.length} to process`);
+    }
+
+    if (COMMAND === 'preflight' || PREFLIGHT) {
+      const problems = await runPreflight(github, reposToProcess);
+      const failing = new Set(problems.map(({ repository }) => repository));
+
+      if (COMMAND === 'preflight') {
+        if (reportData) {
+          validRepos.forEach(repo => reportData.push({
+            repository: repo.name,
+            status: failing.has(repo.name) ? 'error' : 'ok',
+            problems: problems.filter(({ repository }) => repository === repo.name).map(({ problem }) => problem)
+          }));
+        }
+        writeReport(reportData, validRepos.length, validRepos.length - failing.size);
+        if (failing.size) {
+          process.exitCode = 1;
+        }
+        return;
+      }
+
+      if (failing.size) {
+        logger.error("❌ Preflight failed, no changes were made");
+        process.exit(1);
+      }
+    }
+
+    if (GRAPHQL) {
+      if (DRY_RUN || GRAPHQL_COMMANDS.includes(COMMAND)) {
+        try {
+          const cached = await github.branchProtectionManager.prefetchBranchProtection(OWNER);
+          logger.info(`⚡ Cached branch protection for ${cached} branches`);
+        } catch (error) {
+          logger.warn(`⚠️ GraphQL bulk read failed, reading branch protection per repository instead: ${sanitizeErrorForLogging(error).message}`);
         }
-        
-        // Write report to file
-        fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2));
-        logger.info(`\U0001F4BE Report saved to ${REPORT_FILE}`);
+      } else {
+        logger.warn("⚠️ --graphql only applies to dry runs, audits and exports, changes are always based on fresh REST reads");
+      }
+    }
+
+    // Snapshot the current protection so the bulk change can be undone
+    if (BACKUP && !DRY_RUN && MUTATING_COMMANDS.includes(COMMAND)) {
+      try {
+        const snapshotFile = await backupBranchProtection(github, reposToProcess);
+        logger.info(`💾 Saved branch protection snapshot to ${snapshotFile} (undo with: restore --from ${snapshotFile})`);
+      } catch (error) {
+        logger.error("❌ Failed to snapshot branch protection, no changes were made:", sanitizeErrorForLogging(error));
+        process.exit(1);
+      }
+    }
+
+    if (!journalFile && JOURNAL && (!DRY_RUN || COMMAND === 'audit')) {
+      try {
+        journalFile = createJournal(JOURNAL_DIR, { command: COMMAND || 'checks', owner: OWNER, options: runOptions() });
+        logger.info(`📓 Recording progress in ${journalFile} (resume with --resume ${journalFile})`);
       } catch (error) {
-        logger.error(`❌ Failed to write report to ${REPORT_FILE}:`, sanitizeErrorForLogging(error));
+        logger.error("❌ Failed to create run journal, no changes were made:", sanitizeErrorForLogging(error));
+        process.exit(1);
       }
     }
+
+    const processors = {
+      apply: applyPolicyToRepository,
+      audit: auditRepository,
+      'migrate-to-rulesets': migrateRepository,
+      'replace-check': replaceCheckInRepository,
+      reviews: updateReviewsInRepository,
+      restrictions: updateRestrictionsInRepository,
+      export: exportRepository
+    };
+    const processor = processors[COMMAND] || processRepository;
+    const outcome = await updateBranchProtection(github, OWNER, reposToProcess, reportData, processor, journalFile);
+    const updatedRepos = outcome.updated + resumed;
+    const processed = outcome.processed + resumed;
+    const { cancelled } = outcome;
+
+    if (cancelled) {
+      logger.warn(`🛑 Run interrupted after ${processed} of ${validRepos.length} repositories, the remaining ones were not touched`);
+    }
+
+    if (COMMAND === 'export') {
+      writeInventory(reportData, { complete: !cancelled });
+    } else if (COMMAND === 'audit') {
+      logger.info(`🎉 Audit completed for ${updatedRepos} out of ${validRepos.length} repositories.`);
+      summarizeAudit(reportData);
+    } else {
+      logger.info(`\U0001F389 Process completed. Updated ${updatedRepos} out of ${validRepos.length} repositories.`);
+    }
+    
+    // Generate report file if specified
+    writeReport(reportData, validRepos.length, updatedRepos, { processed, interrupted: cancelled });
+    if (cancelled) {
+      process.exitCode = EXIT_CODE_INTERRUPTED;
+    }
   } catch (error) {
     // Sanitize any potentially sensitive information before logging
     const sanitizedError = sanitizeErrorForLogging(error);
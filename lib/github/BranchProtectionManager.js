@@ -19,6 +19,33 @@
 
 const logger = require('../utils/logger');
 const KHULNASOFT_CHECKS = require('./KhulnasoftChecks');
+const { diffObjects, isEquivalent } = require('../utils/diff');
+
+// Boolean settings reported as `{ enabled }` objects by the GET endpoint
+const OPTIONAL_BOOLEAN_SETTINGS = [
+  'required_linear_history',
+  'allow_force_pushes',
+  'allow_deletions',
+  'block_creations',
+  'required_conversation_resolution',
+  'lock_branch',
+  'allow_fork_syncing',
+  'required_signatures'
+];
+
+// Pull request review settings that take a single value
+const REVIEW_SETTINGS = [
+  'required_approving_review_count',
+  'require_code_owner_reviews',
+  'dismiss_stale_reviews',
+  'require_last_push_approval'
+];
+
+// Pull request review settings listing users, teams and apps
+const REVIEW_ACTOR_SETTINGS = [
+  'dismissal_restrictions',
+  'bypass_pull_request_allowances'
+];
 
 /**
  * Manages branch protection settings for GitHub repositories
@@ -26,6 +53,37 @@ const KHULNASOFT_CHECKS = require('./KhulnasoftChecks');
 class BranchProtectionManager {
   constructor(githubClient) {
     this.client = githubClient;
+    // Protection read in bulk by prefetchBranchProtection, keyed by owner/repository/branch
+    this.cache = new Map();
+    // Repositories whose rules were read completely: their uncached branches are unprotected
+    this.readRepositories = new Set();
+  }
+
+  /**
+   * Reads the branch protection of every repository of an owner in bulk with
+   * GraphQL, so later reads are served without one REST request per branch.
+   * Branches of a completely read repository that no rule matches are known to
+   * be unprotected without a request. Meant for read-only runs: a write drops
+   * its repository from the cache, and repositories the bulk read could not
+   * cover completely are still read over REST.
+   * @param {string} owner - Organization or user login
+   * @returns {Promise<number>} Number of branches cached
+   */
+  async prefetchBranchProtection(owner) {
+    const repositories = await this.client.listBranchProtection(owner);
+    let cached = 0;
+    for (const { repository, complete, branches } of repositories) {
+      if (!complete) {
+        logger.debug(`🔍 Branch protection of ${repository} exceeds the GraphQL page limits, it will be read over REST`);
+        continue;
+      }
+      for (const [branch, protection] of Object.entries(branches)) {
+        this.cache.set(this._cacheKey(owner, repository, branch), protection);
+        cached++;
+      }
+      this.readRepositories.add(this._repositoryKey(owner, repository));
+    }
+    return cached;
   }
 
   /**
@@ -47,52 +105,36 @@ class BranchProtectionManager {
    * @param {string} params.repositoryName - Name of the repository
    * @param {string} params.branch - Branch name
    * @param {string[]} params.checksToRemove - Array of check names to remove
-   * @returns {Promise<Object>} Simulated branch protection settings
+   * @returns {Promise<Object>} Current and simulated protection (PUT shape), the
+   *   field-level changes between them and the checks removed and remaining
    */
   async simulateRemovingChecks({ owner, repositoryName, branch, checksToRemove = [] }) {
     try {
-      let protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
       if (!protectionSettingsData) {
-        return { 
+        return {
           error: 'No branch protection settings found',
-          original: null,
-          simulated: null
+          modified: false,
+          current: null,
+          desired: null,
+          changes: [],
+          removedChecks: [],
+          remainingChecks: []
         };
       }
 
-      const original = JSON.parse(JSON.stringify(protectionSettingsData));
-      const statusChecks = protectionSettingsData.required_status_checks;
-      
-      if (!statusChecks?.checks || statusChecks.checks.length === 0) {
-        return {
-          message: 'No status checks found to remove',
-          original,
-          simulated: original
-        };
-      }
+      const current = this.toUpdateRequest(protectionSettingsData);
+      const { request: desired, removedChecks, remainingChecks } = this._planCheckRemoval(current, checksToRemove);
+      const changes = diffObjects(current, desired);
 
-      // If no specific checks provided, use Khulnasoft checks as default
-      const checksToFilter = checksToRemove.length 
-        ? checksToRemove 
-        : [KHULNASOFT_CHECKS.POLICY, KHULNASOFT_CHECKS.INSIGHTS];
-        
-      const originalChecksCount = statusChecks.checks.length;
-      
-      const filteredChecks = statusChecks.checks.filter(
-        check => !checksToFilter.includes(check.context)
-      );
-      
-      const simulated = JSON.parse(JSON.stringify(protectionSettingsData));
-      if (filteredChecks.length) {
-        simulated.required_status_checks.checks = filteredChecks;
-      } else {
-        simulated.required_status_checks = null;
-      }
-      
       return {
-        message: `Would remove ${originalChecksCount - filteredChecks.length} of ${originalChecksCount} checks`,
-        original,
-        simulated
+        message: `Would remove ${removedChecks.length} of ${removedChecks.length + remainingChecks.length} checks`,
+        modified: changes.length > 0,
+        current,
+        desired,
+        changes,
+        removedChecks,
+        remainingChecks
       };
     } catch (error) {
       logger.error(`❌ Failed to simulate removing checks for ${repositoryName}/${branch}:`, error);
@@ -114,47 +156,20 @@ class BranchProtectionManager {
       let protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
       if (!protectionSettingsData) protectionSettingsData = {};
 
-      const enforceAdmins = this._getEnforceAdmins(protectionSettingsData);
-      
-      // Apply custom checks removal logic
-      let required_status_checks = null;
-      const statusChecks = protectionSettingsData.required_status_checks;
-      
-      if (statusChecks?.checks && statusChecks.checks.length > 0) {
-        // Filter out specified checks
-        const checksToFilter = checksToRemove.length 
-          ? checksToRemove 
-          : [KHULNASOFT_CHECKS.POLICY, KHULNASOFT_CHECKS.INSIGHTS];
-          
-        const filteredChecks = statusChecks.checks.filter(
-          check => !checksToFilter.includes(check.context)
-        );
-        
-        if (filteredChecks.length) {
-          required_status_checks = { ...statusChecks, checks: filteredChecks };
-        }
-      }
-      
-      const restrictions = this._getRestrictions(protectionSettingsData);
+      const { request, removedChecks, remainingChecks } = this._planCheckRemoval(
+        this.toUpdateRequest(protectionSettingsData),
+        checksToRemove
+      );
 
-      await this.client.client.repos.updateBranchProtection({
+      await this._writeBranchProtection({
         owner,
-        repo: repositoryName,
+        repositoryName,
         branch,
-        enforce_admins: enforceAdmins,
-        required_status_checks,
-        required_pull_request_reviews: protectionSettingsData.required_pull_request_reviews || null,
-        restrictions,
-        allow_force_pushes: protectionSettingsData.allow_force_pushes?.enabled ?? false,
-        allow_deletions: protectionSettingsData.allow_deletions?.enabled ?? false
+        request,
+        changedFields: ['required_status_checks']
       });
 
-      const removedChecks = checksToRemove.length ? checksToRemove : [KHULNASOFT_CHECKS.POLICY, KHULNASOFT_CHECKS.INSIGHTS];
-      const remainingChecks = statusChecks?.checks?.filter(
-        check => !removedChecks.includes(check.context)
-      ).map(check => check.context) || [];
-
-      const checkNames = checksToRemove.length ? checksToRemove.join(', ') : 'Khulnasoft checks';
+      const checkNames = checksToRemove?.length ? checksToRemove.join(', ') : 'Khulnasoft checks';
       logger.info(`✅ Removed ${checkNames} from branch protection for ${repositoryName}/${branch}`);
       
       return {
@@ -168,6 +183,618 @@ class BranchProtectionManager {
     }
   }
 
+  /**
+   * Works out the update request that removes checks. Shared by the write and
+   * its simulation so a dry run shows exactly what would be written.
+   * @param {Object} current - Current branch protection update request
+   * @param {string[]|null} checksToRemove - Check names to remove, Khulnasoft checks when empty
+   * @returns {{request: Object, removedChecks: string[], remainingChecks: string[]}} - Update
+   *   request and the names of the checks removed and kept
+   */
+  _planCheckRemoval(current, checksToRemove) {
+    const request = JSON.parse(JSON.stringify(current));
+    const statusChecks = request.required_status_checks;
+    const checksToFilter = checksToRemove?.length
+      ? checksToRemove
+      : [KHULNASOFT_CHECKS.POLICY, KHULNASOFT_CHECKS.INSIGHTS];
+    const checks = statusChecks?.checks || [];
+
+    const filteredChecks = checks.filter(check => !checksToFilter.includes(check.context));
+    request.required_status_checks = filteredChecks.length
+      ? { ...statusChecks, checks: filteredChecks }
+      : null;
+
+    return {
+      request,
+      removedChecks: checks.filter(check => checksToFilter.includes(check.context)).map(check => check.context),
+      remainingChecks: filteredChecks.map(check => check.context)
+    };
+  }
+
+  /**
+   * Simulates replacing a required check without applying changes
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {string} params.from - Check name to replace
+   * @param {string} params.to - New check name
+   * @returns {Promise<Object>} Current and simulated protection (PUT shape), the
+   *   field-level changes between them and whether the check was found
+   */
+  async simulateReplacingCheck({ owner, repositoryName, branch, from, to }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      if (!protectionSettingsData) {
+        return { error: 'No branch protection settings found', replaced: false, current: null, desired: null, changes: [] };
+      }
+
+      const current = this.toUpdateRequest(protectionSettingsData);
+      const { request: desired, replaced } = this._planCheckReplacement(current, from, to);
+
+      return {
+        message: replaced ? `Would replace ${from} with ${to}` : `${from} is not required`,
+        replaced,
+        current,
+        desired,
+        changes: diffObjects(current, desired)
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to simulate replacing ${from} on ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces a required check with another one, keeping its app_id and the strict
+   * setting. Branches that do not require the check are left untouched.
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {string} params.from - Check name to replace
+   * @param {string} params.to - New check name
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async replaceCheckInBranchProtection({ owner, repositoryName, branch, from, to }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      const current = this.toUpdateRequest(protectionSettingsData || {});
+      const { request, replaced } = this._planCheckReplacement(current, from, to);
+
+      if (!replaced) {
+        logger.info(`ℹ️ ${from} is not required on ${repositoryName}/${branch}`);
+        return { message: `${from} is not required`, replaced: false, changes: [] };
+      }
+
+      await this._writeBranchProtection({
+        owner,
+        repositoryName,
+        branch,
+        request,
+        changedFields: ['required_status_checks']
+      });
+
+      logger.info(`✅ Replaced ${from} with ${to} in branch protection for ${repositoryName}/${branch}`);
+      return {
+        message: `Replaced ${from} with ${to}`,
+        replaced: true,
+        changes: diffObjects(current, request)
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to replace ${from} on ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Works out the update request that renames a check in place. When the new
+   * check is already required the old one is dropped instead of duplicated.
+   * @param {Object} current - Current branch protection update request
+   * @param {string} from - Check name to replace
+   * @param {string} to - New check name
+   * @returns {{request: Object, replaced: boolean}} - Update request and whether the check was found
+   */
+  _planCheckReplacement(current, from, to) {
+    const request = JSON.parse(JSON.stringify(current));
+    const checks = request.required_status_checks?.checks || [];
+    if (!checks.some(check => check.context === from)) {
+      return { request, replaced: false };
+    }
+
+    const alreadyRequired = checks.some(check => check.context === to);
+    request.required_status_checks.checks = checks
+      .filter(check => !(alreadyRequired && check.context === from))
+      .map(check => (check.context === from ? this._toCheck({ ...check, context: to }) : check));
+
+    return { request, replaced: true };
+  }
+
+  /**
+   * Simulates changing pull request review settings without applying changes
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object} params.settings - Review settings to change, see _planReviewSettings
+   * @returns {Promise<Object>} Current and simulated protection (PUT shape) and the
+   *   field-level changes between them
+   */
+  async simulateUpdatingReviewSettings({ owner, repositoryName, branch, settings }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      if (!protectionSettingsData) {
+        return { error: 'No branch protection settings found', modified: false, current: null, desired: null, changes: [] };
+      }
+
+      const current = this.toUpdateRequest(protectionSettingsData);
+      const desired = this._planReviewSettings(current, settings);
+      const changes = diffObjects(current, desired);
+
+      return {
+        message: `Would change ${changes.length} review settings`,
+        modified: changes.length > 0,
+        current,
+        desired,
+        changes
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to simulate changing review settings for ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Changes pull request review settings, enabling required reviews if needed.
+   * Settings that are not given keep their current value; unprotected branches
+   * are left alone.
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object} params.settings - Review settings to change, see _planReviewSettings
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async updateReviewSettings({ owner, repositoryName, branch, settings }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      if (!protectionSettingsData) {
+        return { error: 'No branch protection settings found', modified: false, changes: [] };
+      }
+
+      const current = this.toUpdateRequest(protectionSettingsData);
+      const request = this._planReviewSettings(current, settings);
+      const changes = diffObjects(current, request);
+
+      if (!changes.length) {
+        logger.info(`ℹ️ Review settings already match on ${repositoryName}/${branch}`);
+        return { message: 'Review settings already match', modified: false, changes };
+      }
+
+      await this._writeBranchProtection({
+        owner,
+        repositoryName,
+        branch,
+        request,
+        changedFields: ['required_pull_request_reviews', 'required_conversation_resolution']
+      });
+
+      logger.info(`✅ Updated review settings in branch protection for ${repositoryName}/${branch}`);
+      return { message: `Changed ${changes.length} review settings`, modified: true, changes };
+    } catch (error) {
+      logger.error(`❌ Failed to update review settings on ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Works out the update request with changed pull request review settings.
+   * Removing every dismissal actor keeps dismissal restricted to admins.
+   * @param {Object} current - Current branch protection update request
+   * @param {Object} settings - Review settings to change; any of required_approving_review_count,
+   *   require_code_owner_reviews, dismiss_stale_reviews, require_last_push_approval and
+   *   required_conversation_resolution, plus dismissal_restrictions and
+   *   bypass_pull_request_allowances as `{ add, remove }` lists of users, teams and apps
+   * @returns {Object} - Update request
+   */
+  _planReviewSettings(current, settings) {
+    const request = JSON.parse(JSON.stringify(current));
+    const reviews = {
+      dismiss_stale_reviews: false,
+      require_code_owner_reviews: false,
+      required_approving_review_count: 1,
+      ...request.required_pull_request_reviews
+    };
+
+    for (const setting of REVIEW_SETTINGS) {
+      if (settings[setting] !== undefined) {
+        reviews[setting] = settings[setting];
+      }
+    }
+    for (const setting of REVIEW_ACTOR_SETTINGS) {
+      if (!settings[setting]) {
+        continue;
+      }
+      const actors = this._mergeActors(reviews[setting], settings[setting]);
+      // Emptied dismissal restrictions still leave dismissal to admins only
+      if (this._hasActors(actors) || (setting === 'dismissal_restrictions' && reviews[setting])) {
+        reviews[setting] = actors;
+      } else {
+        delete reviews[setting];
+      }
+    }
+
+    request.required_pull_request_reviews = reviews;
+    if (settings.required_conversation_resolution !== undefined) {
+      request.required_conversation_resolution = settings.required_conversation_resolution;
+    }
+    return request;
+  }
+
+  /**
+   * Adds actors to and removes actors from an actor list
+   * @param {{users: string[], teams: string[], apps: string[]}|undefined} actors - Current actors
+   * @param {{add?: Object, remove?: Object}} change - Actors to add and remove, by users, teams and apps
+   * @returns {{users: string[], teams: string[], apps: string[]}} Updated actors
+   */
+  _mergeActors(actors, { add = {}, remove = {} }) {
+    const merged = {};
+    for (const kind of ['users', 'teams', 'apps']) {
+      // Logins and slugs are case-insensitive
+      const names = new Map();
+      [...(actors?.[kind] || []), ...(add[kind] || [])].forEach(name => {
+        if (!names.has(name.toLowerCase())) {
+          names.set(name.toLowerCase(), name);
+        }
+      });
+      (remove[kind] || []).forEach(name => names.delete(name.toLowerCase()));
+      merged[kind] = [...names.values()];
+    }
+    return merged;
+  }
+
+  /**
+   * Simulates changing the users, teams and apps allowed to push without applying changes
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {{add?: Object, remove?: Object}} params.actors - Users, teams and apps to add and remove
+   * @returns {Promise<Object>} Current and simulated protection (PUT shape), the
+   *   field-level changes between them and whether pushes are restricted at all
+   */
+  async simulateUpdatingRestrictions({ owner, repositoryName, branch, actors }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      if (!protectionSettingsData) {
+        return { error: 'No branch protection settings found', modified: false, current: null, desired: null, changes: [] };
+      }
+
+      const current = this.toUpdateRequest(protectionSettingsData);
+      const desired = this._planRestrictions(current, actors);
+      const changes = diffObjects(current, desired);
+
+      return {
+        message: `Would change ${changes.length} push restriction lists`,
+        restricted: Boolean(current.restrictions),
+        modified: changes.length > 0,
+        current,
+        desired,
+        changes
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to simulate changing push restrictions for ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds users, teams and apps to and removes them from the push restrictions of
+   * a branch. Branches that do not restrict pushes are left alone, since
+   * restricting them would lock out everyone not listed.
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {{add?: Object, remove?: Object}} params.actors - Users, teams and apps to add and remove
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async updateRestrictions({ owner, repositoryName, branch, actors }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      if (!protectionSettingsData) {
+        return { error: 'No branch protection settings found', modified: false, changes: [] };
+      }
+
+      const current = this.toUpdateRequest(protectionSettingsData);
+      const request = this._planRestrictions(current, actors);
+      const changes = diffObjects(current, request);
+
+      if (!changes.length) {
+        logger.info(`ℹ️ Push restrictions already match on ${repositoryName}/${branch}`);
+        return { message: 'Push restrictions already match', restricted: Boolean(current.restrictions), modified: false, changes };
+      }
+
+      await this._writeBranchProtection({
+        owner,
+        repositoryName,
+        branch,
+        request,
+        changedFields: ['restrictions']
+      });
+
+      logger.info(`✅ Updated push restrictions in branch protection for ${repositoryName}/${branch}`);
+      return { message: 'Updated push restrictions', restricted: true, modified: true, changes };
+    } catch (error) {
+      logger.error(`❌ Failed to update push restrictions on ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Works out the update request with changed push restrictions. Removing every
+   * actor keeps pushes restricted (to admins only) rather than lifting the restriction.
+   * @param {Object} current - Current branch protection update request
+   * @param {{add?: Object, remove?: Object}} actors - Users, teams and apps to add and remove
+   * @returns {Object} - Update request, unchanged when pushes are not restricted
+   */
+  _planRestrictions(current, actors) {
+    const request = JSON.parse(JSON.stringify(current));
+    if (request.restrictions) {
+      request.restrictions = this._mergeActors(request.restrictions, actors);
+    }
+    return request;
+  }
+
+  /**
+   * Simulates adding checks to branch protection without applying changes
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Array<{context: string, app_id?: number}>} params.checksToAdd - Checks to require
+   * @returns {Promise<Object>} Current (null if unprotected) and simulated protection
+   *   (PUT shape), the field-level changes between them and the checks added
+   */
+  async simulateAddingChecks({ owner, repositoryName, branch, checksToAdd = [] }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      const current = protectionSettingsData ? this.toUpdateRequest(protectionSettingsData) : null;
+
+      const { checks, addedChecks } = this._mergeChecks(current?.required_status_checks?.checks || [], checksToAdd);
+
+      const desired = current ? JSON.parse(JSON.stringify(current)) : this.toUpdateRequest({});
+      desired.enforce_admins = desired.enforce_admins ?? false;
+      desired.required_status_checks = {
+        strict: current?.required_status_checks?.strict ?? false,
+        checks
+      };
+
+      return {
+        message: `Would add ${addedChecks.length} of ${checksToAdd.length} checks`,
+        createsProtection: !protectionSettingsData,
+        addedChecks: addedChecks.map(check => check.context),
+        current,
+        desired,
+        changes: addedChecks.length || !current ? diffObjects(current || {}, desired) : []
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to simulate adding checks for ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds checks to branch protection, creating a minimal protection if the branch has none
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Array<{context: string, app_id?: number}>} params.checksToAdd - Checks to require
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async addChecksToBranchProtection({ owner, repositoryName, branch, checksToAdd = [] }) {
+    try {
+      let protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      const createsProtection = !protectionSettingsData;
+      if (!protectionSettingsData) protectionSettingsData = {};
+
+      const request = this.toUpdateRequest(protectionSettingsData);
+      const statusChecks = request.required_status_checks;
+      const { checks, addedChecks } = this._mergeChecks(statusChecks?.checks || [], checksToAdd);
+
+      if (!addedChecks.length && !createsProtection) {
+        logger.info(`ℹ️ All checks already required on ${repositoryName}/${branch}`);
+        return {
+          message: 'All checks already required',
+          addedChecks: [],
+          requiredChecks: checks.map(check => check.context)
+        };
+      }
+
+      request.enforce_admins = request.enforce_admins ?? false;
+      request.required_status_checks = {
+        strict: statusChecks?.strict ?? false,
+        checks
+      };
+
+      await this._writeBranchProtection({
+        owner,
+        repositoryName,
+        branch,
+        request,
+        changedFields: createsProtection ? null : ['required_status_checks']
+      });
+
+      const checkNames = addedChecks.map(check => check.context);
+      logger.info(`✅ Added ${checkNames.join(', ')} to branch protection for ${repositoryName}/${branch}`);
+
+      return {
+        message: `Added ${checkNames.join(', ')} to branch protection`,
+        createsProtection,
+        addedChecks: checkNames,
+        requiredChecks: checks.map(check => check.context)
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to add checks to ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plans the changes needed to bring a branch in line with a policy rule
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object} params.policy - Policy instance
+   * @param {Object} params.rule - Branch rule of the policy
+   * @returns {Promise<Object>} Plan with current and desired protection and the changes between them
+   */
+  async planPolicy({ owner, repositoryName, branch, policy, rule }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      const current = protectionSettingsData ? this.toUpdateRequest(protectionSettingsData) : null;
+      const desired = policy.applyTo(current || this.toUpdateRequest({}), rule);
+
+      return {
+        createsProtection: !protectionSettingsData,
+        current,
+        desired,
+        changes: diffObjects(current || {}, desired)
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to plan policy for ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Converges a branch to a policy rule
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object} params.policy - Policy instance
+   * @param {Object} params.rule - Branch rule of the policy
+   * @param {Object} [params.plan] - Plan from planPolicy, computed if not given
+   * @returns {Promise<Object>} The plan that was applied
+   */
+  async applyPolicy({ owner, repositoryName, branch, policy, rule, plan }) {
+    plan = plan || await this.planPolicy({ owner, repositoryName, branch, policy, rule });
+    if (!plan.changes.length) {
+      return plan;
+    }
+
+    try {
+      await this._writeBranchProtection({
+        owner,
+        repositoryName,
+        branch,
+        request: plan.desired,
+        changedFields: plan.createsProtection
+          ? null
+          : [...new Set(plan.changes.map(change => change.path.split('.')[0]))]
+      });
+
+      logger.info(`✅ Applied policy to ${repositoryName}/${branch} (${plan.changes.length} changes)`);
+      return plan;
+    } catch (error) {
+      logger.error(`❌ Failed to apply policy to ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Audits a branch against a policy rule without changing anything
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object} params.policy - Policy instance used as the baseline
+   * @param {Object} params.rule - Branch rule of the policy
+   * @returns {Promise<{protected: boolean, violations: Array}>} Audit result
+   */
+  async auditPolicy({ owner, repositoryName, branch, policy, rule }) {
+    try {
+      const protectionSettingsData = await this._getBranchProtection({ owner, repositoryName, branch });
+      const current = protectionSettingsData ? this.toUpdateRequest(protectionSettingsData) : null;
+
+      return {
+        protected: !!protectionSettingsData,
+        violations: policy.audit(current, rule)
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to audit ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes branch protection from a branch
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @returns {Promise<void>}
+   */
+  async removeBranchProtection({ owner, repositoryName, branch }) {
+    try {
+      this._forget(owner, repositoryName, branch);
+      await this.client.client.repos.deleteBranchProtection({ owner, repo: repositoryName, branch });
+      logger.info(`✅ Removed branch protection from ${repositoryName}/${branch}`);
+    } catch (error) {
+      if (error.status === 404) {
+        logger.warn(`⚠️ Branch ${branch} in ${repositoryName} is not protected.`);
+        return;
+      }
+      logger.error(`❌ Failed to remove branch protection from ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Puts back branch protection recorded in a snapshot. A null protection
+   * means the branch was unprotected, so any current protection is removed.
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object|null} params.protection - Recorded branch protection settings (GET shape)
+   * @param {boolean} [params.dryRun] - Only report what would happen
+   * @returns {Promise<{action: string}>} Result: restored, removed or unchanged
+   */
+  async restoreBranchProtection({ owner, repositoryName, branch, protection, dryRun = false }) {
+    try {
+      const current = await this._getBranchProtection({ owner, repositoryName, branch });
+
+      if (!protection) {
+        if (!current) {
+          return { action: 'unchanged' };
+        }
+        if (!dryRun) {
+          await this.removeBranchProtection({ owner, repositoryName, branch });
+        }
+        return { action: 'removed' };
+      }
+
+      const request = this.toUpdateRequest(protection);
+      if (current && isEquivalent(this.toUpdateRequest(current), request)) {
+        return { action: 'unchanged' };
+      }
+
+      if (!dryRun) {
+        // Every setting must match the snapshot afterwards
+        await this._writeBranchProtection({ owner, repositoryName, branch, request, changedFields: [] });
+        logger.info(`✅ Restored branch protection for ${repositoryName}/${branch}`);
+      }
+      return { action: 'restored' };
+    } catch (error) {
+      logger.error(`❌ Failed to restore branch protection for ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Remove specifically Khulnasoft checks from branch protection
    * @param {object} params - Parameters object
@@ -185,6 +812,113 @@ class BranchProtectionManager {
     });
   }
 
+  /**
+   * Converts branch protection settings as returned by the GET endpoint into the
+   * body expected by the PUT endpoint, preserving every setting.
+   *
+   * `required_signatures` is not part of the PUT body; it is kept on the request
+   * and applied through the commit signature protection endpoints on write.
+   * Optional settings missing from the GET response are left out so they are
+   * not reset on servers that do not report them.
+   * @param {Object} protectionSettingsData - Branch protection settings (GET shape)
+   * @returns {Object} Branch protection update request (PUT shape)
+   */
+  toUpdateRequest(protectionSettingsData) {
+    const data = protectionSettingsData || {};
+    const request = {
+      required_status_checks: this._getRequiredStatusChecks(data),
+      enforce_admins: this._getEnforceAdmins(data),
+      required_pull_request_reviews: this._getRequiredPullRequestReviews(data),
+      restrictions: this._getRestrictions(data)
+    };
+
+    for (const field of OPTIONAL_BOOLEAN_SETTINGS) {
+      if (data[field] !== undefined && data[field] !== null) {
+        request[field] = data[field].enabled ?? false;
+      }
+    }
+
+    return request;
+  }
+
+  /**
+   * Writes branch protection and verifies that only the intended settings changed
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object} params.request - Full branch protection update request
+   * @param {string[]|null} params.changedFields - Settings the write is meant to change,
+   *   or null when every setting is expected to change (e.g. creating a protection)
+   * @returns {Promise<Object>} Branch protection settings read back after the write
+   */
+  async _writeBranchProtection({ owner, repositoryName, branch, request, changedFields }) {
+    const { required_signatures: requiredSignatures, ...body } = request;
+    this._forget(owner, repositoryName, branch);
+
+    // Older GitHub Enterprise Server releases only accept check names
+    if (body.required_status_checks && !(await this.client.supports('statusCheckApps'))) {
+      body.required_status_checks = {
+        strict: body.required_status_checks.strict,
+        contexts: body.required_status_checks.checks.map(check => check.context)
+      };
+    }
+
+    await this.client.client.repos.updateBranchProtection({
+      owner,
+      repo: repositoryName,
+      branch,
+      ...body
+    });
+
+    let written = await this._getBranchProtection({ owner, repositoryName, branch });
+
+    if (requiredSignatures !== undefined && (written?.required_signatures?.enabled ?? false) !== requiredSignatures) {
+      const params = { owner, repo: repositoryName, branch };
+      if (requiredSignatures) {
+        await this.client.client.repos.createCommitSignatureProtection(params);
+      } else {
+        await this.client.client.repos.deleteCommitSignatureProtection(params);
+      }
+      written = await this._getBranchProtection({ owner, repositoryName, branch });
+    }
+
+    if (changedFields) {
+      this._verifyBranchProtection({ repositoryName, branch, expected: request, written, changedFields });
+    }
+
+    return written;
+  }
+
+  /**
+   * Compares protection read back after a write with the intended request and
+   * throws if any setting outside `changedFields` differs
+   * @param {object} params - Parameters object
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @param {Object} params.expected - Branch protection update request that was sent
+   * @param {Object} params.written - Branch protection settings read back (GET shape)
+   * @param {string[]} params.changedFields - Settings the write was meant to change
+   */
+  _verifyBranchProtection({ repositoryName, branch, expected, written, changedFields }) {
+    if (!written) {
+      throw new Error(`Branch protection for ${repositoryName}/${branch} is missing after update`);
+    }
+
+    const actual = this.toUpdateRequest(written);
+    const mismatches = Object.keys(expected).filter(field =>
+      !changedFields.includes(field) &&
+      field in actual &&
+      !isEquivalent(expected[field], actual[field])
+    );
+
+    if (mismatches.length) {
+      throw new Error(
+        `Unrelated branch protection settings changed on ${repositoryName}/${branch}: ${mismatches.join(', ')}`
+      );
+    }
+  }
+
   /**
    * Internal method to get branch protection settings
    * @param {object} params - Parameters object
@@ -194,13 +928,24 @@ class BranchProtectionManager {
    * @returns {Promise<Object|undefined>} Branch protection settings or undefined if not found
    */
   async _getBranchProtection({ owner, repositoryName, branch }) {
+    const key = this._cacheKey(owner, repositoryName, branch);
+    if (this.cache.has(key) || this.readRepositories.has(this._repositoryKey(owner, repositoryName))) {
+      const cached = this.cache.get(key);
+      if (!cached) {
+        logger.warn(`⚠️ Branch ${branch} in ${repositoryName} is not protected.`);
+        return undefined;
+      }
+      // Callers modify the settings they get, so hand out a copy
+      return JSON.parse(JSON.stringify(cached));
+    }
+
     try {
       const { data } = await this.client.client.repos.getBranchProtection({ 
         owner, 
         repo: repositoryName, 
         branch 
       });
-      return data;
+      return this._normalizeProtection(data);
     } catch (err) {
       if (err.status === 404) {
         logger.warn(`⚠️ Branch ${branch} in ${repositoryName} is not protected.`);
@@ -216,6 +961,54 @@ class BranchProtectionManager {
     }
   }
 
+  /**
+   * Builds the cache key of a branch
+   * @param {string} owner - Owner of the repository
+   * @param {string} repositoryName - Name of the repository
+   * @param {string} branch - Branch name
+   * @returns {string} Cache key
+   */
+  _cacheKey(owner, repositoryName, branch) {
+    return `${this._repositoryKey(owner, repositoryName)}/${branch}`;
+  }
+
+  /**
+   * Builds the key of a repository in the set of completely read repositories
+   * @param {string} owner - Owner of the repository
+   * @param {string} repositoryName - Name of the repository
+   * @returns {string} Repository key
+   */
+  _repositoryKey(owner, repositoryName) {
+    return `${owner.toLowerCase()}/${repositoryName.toLowerCase()}`;
+  }
+
+  /**
+   * Drops a branch about to be written from the bulk read cache. Its repository
+   * no longer counts as completely read, so its other branches are read over REST.
+   * @param {string} owner - Owner of the repository
+   * @param {string} repositoryName - Name of the repository
+   * @param {string} branch - Branch name
+   */
+  _forget(owner, repositoryName, branch) {
+    this.cache.delete(this._cacheKey(owner, repositoryName, branch));
+    this.readRepositories.delete(this._repositoryKey(owner, repositoryName));
+  }
+
+  /**
+   * Fills in `required_status_checks.checks` for servers that only return
+   * `contexts` (older GitHub Enterprise Server releases), so every reader can
+   * rely on the current response shape
+   * @param {Object} protectionSettingsData - Branch protection settings
+   * @returns {Object} Branch protection settings
+   */
+  _normalizeProtection(protectionSettingsData) {
+    const statusChecks = protectionSettingsData?.required_status_checks;
+    if (statusChecks && !statusChecks.checks) {
+      statusChecks.checks = (statusChecks.contexts || []).map(context => ({ context, app_id: null }));
+    }
+    return protectionSettingsData;
+  }
+
   /**
    * Extracts enforce_admins setting from protection settings
    * @param {Object} protectionSettingsData - Branch protection settings
@@ -234,12 +1027,125 @@ class BranchProtectionManager {
     const restrictions = protectionSettingsData.restrictions;
     if (!restrictions) return null;
 
+    return this._getActors(restrictions);
+  }
+
+  /**
+   * Extracts required status checks from protection settings
+   * @param {Object} protectionSettingsData - Branch protection settings
+   * @returns {Object|null} required_status_checks setting
+   */
+  _getRequiredStatusChecks(protectionSettingsData) {
+    const statusChecks = protectionSettingsData.required_status_checks;
+    if (!statusChecks) return null;
+
+    const checks = statusChecks.checks
+      ? statusChecks.checks.map(check => this._toCheck(check))
+      : (statusChecks.contexts || []).map(context => ({ context }));
+
+    return {
+      strict: statusChecks.strict ?? false,
+      checks
+    };
+  }
+
+  /**
+   * Extracts required pull request reviews from protection settings,
+   * replacing user, team and app objects with logins and slugs
+   * @param {Object} protectionSettingsData - Branch protection settings
+   * @returns {Object|null} required_pull_request_reviews setting
+   */
+  _getRequiredPullRequestReviews(protectionSettingsData) {
+    const reviews = protectionSettingsData.required_pull_request_reviews;
+    if (!reviews) return null;
+
+    const request = {
+      dismiss_stale_reviews: reviews.dismiss_stale_reviews ?? false,
+      require_code_owner_reviews: reviews.require_code_owner_reviews ?? false,
+      required_approving_review_count: reviews.required_approving_review_count ?? 0
+    };
+
+    if (reviews.require_last_push_approval !== undefined) {
+      request.require_last_push_approval = reviews.require_last_push_approval;
+    }
+    // Dismissal restrictions with empty lists still restrict dismissal to admins,
+    // so they are kept whenever the API returns them. User-owned repositories never
+    // return them and reject them in updates.
+    if (reviews.dismissal_restrictions) {
+      request.dismissal_restrictions = this._getActors(reviews.dismissal_restrictions);
+    }
+    // Empty bypass allowances are equivalent to none and are left out
+    const bypassAllowances = this._getActors(reviews.bypass_pull_request_allowances || {});
+    if (this._hasActors(bypassAllowances)) {
+      request.bypass_pull_request_allowances = bypassAllowances;
+    }
+
+    return request;
+  }
+
+  /**
+   * Maps user, team and app objects to the logins and slugs used in update requests
+   * @param {Object} actors - Object with users, teams and apps arrays
+   * @returns {{users: string[], teams: string[], apps: string[]}} Actor identifiers
+   */
+  _getActors(actors) {
     return {
-      users: restrictions.users?.map(user => user.login) || [],
-      teams: restrictions.teams?.map(team => team.slug) || []
+      users: actors.users?.map(user => user.login) || [],
+      teams: actors.teams?.map(team => team.slug) || [],
+      apps: actors.apps?.map(app => app.slug) || []
     };
   }
+
+  /**
+   * Checks whether an actor list names at least one user, team or app
+   * @param {{users: string[], teams: string[], apps: string[]}} actors - Actor identifiers
+   * @returns {boolean} true if any actor is present
+   */
+  _hasActors(actors) {
+    return actors.users.length > 0 || actors.teams.length > 0 || actors.apps.length > 0;
+  }
+
+  /**
+   * Merges checks into an existing list of required checks.
+   * A check already required under a different app_id is rebound to the new app.
+   * @param {Array<{context: string, app_id?: number}>} existingChecks - Currently required checks
+   * @param {Array<{context: string, app_id?: number}>} checksToAdd - Checks to require
+   * @returns {{checks: Array, addedChecks: Array}} Merged checks and the checks that changed
+   */
+  _mergeChecks(existingChecks, checksToAdd) {
+    const checks = existingChecks.map(check => this._toCheck(check));
+    const addedChecks = [];
+
+    for (const check of checksToAdd) {
+      const appId = check.app_id ?? null;
+      const index = checks.findIndex(c => c.context === check.context);
+
+      if (index === -1) {
+        checks.push(this._toCheck(check));
+        addedChecks.push(this._toCheck(check));
+      } else if (appId !== null && (checks[index].app_id ?? null) !== appId) {
+        checks[index] = this._toCheck(check);
+        addedChecks.push(this._toCheck(check));
+      }
+    }
+
+    return { checks, addedChecks };
+  }
+
+  /**
+   * Converts a check to its request shape, omitting app_id when any source is allowed
+   * @param {{context: string, app_id?: number|null}} check - Status check
+   * @returns {{context: string, app_id?: number}} Status check for the update request
+   */
+  _toCheck(check) {
+    return check.app_id === null || check.app_id === undefined
+      ? { context: check.context }
+      : { context: check.context, app_id: check.app_id };
+  }
 }
 
+BranchProtectionManager.REVIEW_SETTINGS = REVIEW_SETTINGS;
+BranchProtectionManager.REVIEW_ACTOR_SETTINGS = REVIEW_ACTOR_SETTINGS;
+
 module.exports = BranchProtectionManager;
 
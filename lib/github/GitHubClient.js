@@ -18,16 +18,138 @@
  */
 
 const { Octokit } = require("@octokit/rest");
+const { createAppAuth } = require("@octokit/auth-app");
+const RequestScheduler = require('./RequestScheduler');
 const logger = require('../utils/logger');
 
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Page sizes for the bulk branch protection query, chosen to stay well below
+// the GraphQL limit of 500,000 nodes per query
+const GRAPHQL_REPOSITORIES_PAGE = 100;
+const GRAPHQL_RULES_PAGE = 20;
+const GRAPHQL_REFS_PAGE = 50;
+const GRAPHQL_ACTORS_PAGE = 25;
+
+const GRAPHQL_ACTORS = `totalCount nodes { actor { __typename ... on User { login } ... on Team { slug } ... on App { slug } } }`;
+
+const BRANCH_PROTECTION_QUERY = `
+  query ($owner: String!, $cursor: String) {
+    repositoryOwner(login: $owner) {
+      repositories(first: ${GRAPHQL_REPOSITORIES_PAGE}, after: $cursor, ownerAffiliations: OWNER, orderBy: { field: NAME, direction: ASC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          name
+          defaultBranchRef { name }
+          branchProtectionRules(first: ${GRAPHQL_RULES_PAGE}) {
+            pageInfo { hasNextPage }
+            nodes {
+              pattern
+              requiresStatusChecks
+              requiresStrictStatusChecks
+              requiredStatusChecks { context app { databaseId } }
+              isAdminEnforced
+              requiresApprovingReviews
+              requiredApprovingReviewCount
+              dismissesStaleReviews
+              requiresCodeOwnerReviews
+              requireLastPushApproval
+              restrictsReviewDismissals
+              reviewDismissalAllowances(first: ${GRAPHQL_ACTORS_PAGE}) { ${GRAPHQL_ACTORS} }
+              bypassPullRequestAllowances(first: ${GRAPHQL_ACTORS_PAGE}) { ${GRAPHQL_ACTORS} }
+              restrictsPushes
+              pushAllowances(first: ${GRAPHQL_ACTORS_PAGE}) { ${GRAPHQL_ACTORS} }
+              requiresLinearHistory
+              allowsForcePushes
+              allowsDeletions
+              blocksCreations
+              requiresConversationResolution
+              lockBranch
+              lockAllowsFetchAndMerge
+              requiresCommitSignatures
+              matchingRefs(first: ${GRAPHQL_REFS_PAGE}) { totalCount nodes { name } }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Oldest GitHub Enterprise Server release supporting each feature
+const GHES_FEATURES = {
+  rulesets: '3.11',
+  statusCheckApps: '3.2'
+};
+
 /**
  * GitHubClient class for interacting with GitHub API
  */
 class GitHubClient {
-  constructor(token) {
-    this.client = new Octokit({
-      auth: token
-    });
+  /**
+   * @param {string|object} auth - Token, or GitHub App credentials
+   * @param {number|string} [auth.appId] - GitHub App ID
+   * @param {string} [auth.privateKey] - GitHub App private key (PEM)
+   * @param {number} [auth.installationId] - Installation to use instead of looking it up per owner
+   * @param {object} [options] - Client options
+   * @param {string} [options.baseUrl] - REST API URL, e.g. https://github.example.com/api/v3 for GitHub Enterprise Server
+   * @param {object} [options.scheduler] - RequestScheduler options
+   */
+  constructor(auth, { baseUrl = DEFAULT_API_URL, scheduler = {} } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.serverVersion = undefined;
+    // Every request, including those the managers send through `client`, is scheduled here
+    this.scheduler = new RequestScheduler(scheduler);
+
+    if (auth && typeof auth === 'object') {
+      this.app = {
+        appId: auth.appId,
+        privateKey: auth.privateKey,
+        installationId: auth.installationId || null
+      };
+      // Authenticates as the app itself until an installation is selected
+      this.client = this._createOctokit({
+        authStrategy: createAppAuth,
+        auth: { appId: this.app.appId, privateKey: this.app.privateKey }
+      });
+    } else {
+      this.app = null;
+      this.client = this._createOctokit({
+        auth
+      });
+    }
+    this.ownerTypes = new Map();
+    this.login = null;
+  }
+
+  /**
+   * Switches a GitHub App client to the installation for an owner. Installation
+   * tokens expire after an hour; the app auth strategy caches them and requests
+   * a new one before expiry, so long runs keep working. No-op for token auth.
+   * @param {string} owner - Organization or user the app is installed on
+   * @returns {Promise<number|null>} - Installation ID, null for token auth
+   */
+  async useInstallation(owner) {
+    if (!this.app) {
+      return null;
+    }
+
+    try {
+      const installationId = this.app.installationId || await this._findInstallation(owner);
+      this.client = this._createOctokit({
+        authStrategy: createAppAuth,
+        auth: {
+          appId: this.app.appId,
+          privateKey: this.app.privateKey,
+          installationId
+        }
+      });
+      logger.info(`🔑 Using installation ${installationId} for ${owner}`);
+      return installationId;
+    } catch (error) {
+      logger.error(`❌ Failed to authenticate as installation for ${owner}:`, error);
+      throw error;
+    }
   }
 
   /**
@@ -35,9 +157,14 @@ class GitHubClient {
    * @returns {Promise<{valid: boolean, user?: string, error?: string}>} - Object indicating if token is valid, and if so, which user it belongs to
    */
   async validateToken() {
+    if (this.app) {
+      return this._validateApp();
+    }
+
     try {
       // Make a request to the /user endpoint which requires authentication
       const { data } = await this.client.users.getAuthenticated();
+      this.login = data.login;
       logger.info(`✅ Token validated successfully for user: ${data.login}`);
       return { 
         valid: true, 
@@ -71,6 +198,149 @@ class GitHubClient {
     }
   }
 
+  /**
+   * Reads what the credentials are allowed to do: the OAuth scopes of a
+   * classic token, or the permissions granted to an app installation.
+   * Fine-grained tokens do not expose their grants, so only their type is known.
+   * @returns {Promise<{type: string, scopes: string[]|null, permissions: Object|null}>} - Token type (classic, fine-grained or app) and grants
+   */
+  async getTokenAccess() {
+    try {
+      if (this.app) {
+        const { permissions } = await this.client.auth({ type: 'installation' });
+        return { type: 'app', scopes: null, permissions: permissions || {} };
+      }
+
+      const { headers } = await this.client.users.getAuthenticated();
+      const scopes = headers['x-oauth-scopes'];
+      if (scopes === undefined) {
+        return { type: 'fine-grained', scopes: null, permissions: null };
+      }
+      return {
+        type: 'classic',
+        scopes: scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+        permissions: null
+      };
+    } catch (error) {
+      logger.error('❌ Failed to read token permissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether the client talks to GitHub Enterprise Server
+   * @returns {boolean} - true unless the public GitHub API is used
+   */
+  isEnterprise() {
+    return this.baseUrl !== DEFAULT_API_URL;
+  }
+
+  /**
+   * Gets the GitHub Enterprise Server version from the meta endpoint
+   * @returns {Promise<string|null>} - Version such as "3.9.2", null on github.com or when unknown
+   */
+  async getServerVersion() {
+    if (this.serverVersion === undefined) {
+      this.serverVersion = null;
+      if (this.isEnterprise()) {
+        try {
+          const { data } = await this.client.meta.get();
+          this.serverVersion = data.installed_version || null;
+        } catch (error) {
+          logger.warn(`⚠️ Could not determine the GitHub Enterprise Server version: ${error.message}`);
+        }
+      }
+    }
+    return this.serverVersion;
+  }
+
+  /**
+   * Checks whether the server supports a feature. github.com and servers of
+   * unknown version are assumed to support everything.
+   * @param {string} feature - Feature name (rulesets, statusCheckApps)
+   * @returns {Promise<boolean>} - true if the feature is available
+   */
+  async supports(feature) {
+    const version = await this.getServerVersion();
+    if (!version || !GHES_FEATURES[feature]) {
+      return true;
+    }
+    return GitHubClient.compareVersions(version, GHES_FEATURES[feature]) >= 0;
+  }
+
+  /**
+   * Compares two dotted version numbers
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} - Negative if a < b, 0 if equal, positive if a > b
+   */
+  static compareVersions(a, b) {
+    const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const difference = (left[i] || 0) - (right[i] || 0);
+      if (difference) {
+        return difference;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Validates GitHub App credentials by fetching the app they belong to
+   * @returns {Promise<{valid: boolean, user?: string, error?: string}>} - Validation result, user is the app's bot login
+   */
+  async _validateApp() {
+    try {
+      const { data } = await this.client.apps.getAuthenticated();
+      logger.info(`✅ App credentials validated successfully for app: ${data.slug}`);
+      return {
+        valid: true,
+        user: `${data.slug}[bot]`
+      };
+    } catch (error) {
+      if (error.status === 401) {
+        logger.warn('⚠️ Invalid GitHub App credentials provided');
+        return {
+          valid: false,
+          error: 'Invalid GitHub App ID or private key'
+        };
+      }
+
+      logger.error('❌ Error validating GitHub App credentials:', error);
+      return {
+        valid: false,
+        error: `App validation failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Looks up the app installation on an organization or user account
+   * @param {string} owner - Organization or user login
+   * @returns {Promise<number>} - Installation ID
+   */
+  async _findInstallation(owner) {
+    try {
+      const { data } = await this.client.apps.getOrgInstallation({ org: owner });
+      return data.id;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+
+    try {
+      const { data } = await this.client.apps.getUserInstallation({ username: owner });
+      return data.id;
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`GitHub App is not installed on ${owner}`);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Fetches a single repository by owner and name
    * @param {string} owner - Owner of the repository
@@ -81,16 +351,7 @@ class GitHubClient {
     try {
       const { data } = await this.client.repos.get({ owner, repo });
       logger.info(`✅ Retrieved repository ${owner}/${repo}`);
-      return {
-        url: data.html_url,
-        private: data.private,
-        forked: data.fork,
-        archived: data.archived,
-        owner: data.owner.login,
-        name: data.name,
-        id: data.id,
-        defaultBranch: data.default_branch
-      };
+      return this._toRepository(data);
     } catch (error) {
       logger.error(`❌ Failed to get repository ${owner}/${repo}:`, error);
       throw error;
@@ -98,40 +359,287 @@ class GitHubClient {
   }
 
   /**
-   * Lists repositories for an organization
-   * @param {string} org - Organization name
+   * Determines whether an owner is an organization or a user account
+   * @param {string} owner - Organization or user login
+   * @returns {Promise<string>} - "Organization" or "User"
+   */
+  async getOwnerType(owner) {
+    if (!this.ownerTypes.has(owner)) {
+      try {
+        const { data } = await this.client.users.getByUsername({ username: owner });
+        this.ownerTypes.set(owner, data.type === 'Organization' ? 'Organization' : 'User');
+      } catch (error) {
+        logger.error(`❌ Failed to look up owner ${owner}:`, error);
+        throw error;
+      }
+    }
+    return this.ownerTypes.get(owner);
+  }
+
+  /**
+   * Finds the users, teams and apps that cannot be granted access in an
+   * organization: users that are not members, and teams or apps that do not exist
+   * @param {string} org - Organization login
+   * @param {{users?: string[], teams?: string[], apps?: string[]}} actors - User logins, team slugs and app slugs
+   * @returns {Promise<string[]>} - Missing actors, as user:<login>, team:<slug> or app:<slug>
+   */
+  async findMissingActors(org, { users = [], teams = [], apps = [] }) {
+    const lookups = [
+      // The membership endpoint also sees private members, which the check endpoint hides from non-members
+      ...users.map(name => ['user', name, () => this.client.orgs.getMembershipForUser({ org, username: name })]),
+      ...teams.map(name => ['team', name, () => this.client.teams.getByName({ org, team_slug: name })]),
+      ...apps.map(name => ['app', name, () => this.client.apps.getBySlug({ app_slug: name })])
+    ];
+
+    const missing = [];
+    for (const [kind, name, lookup] of lookups) {
+      try {
+        await lookup();
+      } catch (error) {
+        if (error.status !== 404) {
+          logger.error(`❌ Failed to look up ${kind} ${name} in ${org}:`, error);
+          throw error;
+        }
+        missing.push(`${kind}:${name}`);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Lists repositories for an organization or user account. Repositories of
+   * the token holder are listed through the authenticated endpoint so that
+   * private repositories are included; other users only expose public ones.
+   * A GitHub App lists the repositories its installation was granted.
+   * @param {string} owner - Organization or user login
    * @returns {Promise<Array>} - List of repositories
    */
-  async listRepositories(org) {
+  async listRepositories(owner) {
     try {
-      logger.info(`\U0001F50D Listing repositories for organization ${org}...`);
-      const repos = await this._paginate(
-        this.client.repos.listForOrg.endpoint.merge({
-          org,
-          type: 'all',
-          sort: 'full_name',
-          direction: 'asc',
+      const ownerType = await this.getOwnerType(owner);
+      const options = { sort: 'full_name', direction: 'asc', per_page: 100 };
+      let endpoint;
+
+      if (ownerType === 'Organization') {
+        logger.info(`\U0001F50D Listing repositories for organization ${owner}...`);
+        endpoint = this.client.repos.listForOrg.endpoint.merge({ org: owner, type: 'all', ...options });
+      } else if (this.app) {
+        logger.info(`🔍 Listing repositories of the installation for user ${owner}...`);
+        endpoint = this.client.apps.listReposAccessibleToInstallation.endpoint.merge({ per_page: 100 });
+      } else if (owner.toLowerCase() === (await this._getLogin()).toLowerCase()) {
+        logger.info(`🔍 Listing repositories owned by ${owner}...`);
+        endpoint = this.client.repos.listForAuthenticatedUser.endpoint.merge({ affiliation: 'owner', visibility: 'all', ...options });
+      } else {
+        logger.info(`🔍 Listing public repositories for user ${owner}...`);
+        endpoint = this.client.repos.listForUser.endpoint.merge({ username: owner, type: 'owner', ...options });
+      }
+
+      const repos = await this._paginate(endpoint);
+      logger.info(`✅ Found ${repos.length} repositories for ${ownerType === 'Organization' ? 'organization' : 'user'} ${owner}`);
+      return repos.map(repo => this._toRepository(repo));
+    } catch (error) {
+      logger.error(`❌ Failed to list repositories for ${owner}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the branch names of a repository
+   * @param {string} owner - Owner of the repository
+   * @param {string} repo - Name of the repository
+   * @param {object} [options] - Listing options
+   * @param {boolean} [options.protectedOnly] - Only list protected branches
+   * @returns {Promise<string[]>} - Branch names
+   */
+  async listBranches(owner, repo, { protectedOnly = false } = {}) {
+    try {
+      const branches = await this._paginate(
+        this.client.repos.listBranches.endpoint.merge({
+          owner,
+          repo,
+          ...(protectedOnly && { protected: true }),
           per_page: 100
         })
       );
-      
-      logger.info(`✅ Found ${repos.length} repositories for organization ${org}`);
-      return repos.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        url: repo.html_url,
-        private: repo.private,
-        forked: repo.fork,
-        archived: repo.archived,
-        owner: repo.owner.login,
-        defaultBranch: repo.default_branch
-      }));
+      return branches.map(branch => branch.name);
+    } catch (error) {
+      logger.error(`❌ Failed to list branches for ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates an Octokit instance for the configured server whose requests go
+   * through the request scheduler
+   * @param {Object} options - Octokit options
+   * @returns {Object} - Octokit instance
+   */
+  _createOctokit(options) {
+    return this.scheduler.install(new Octokit({
+      baseUrl: this.baseUrl,
+      ...options
+    }));
+  }
+
+  /**
+   * Returns the login of the token holder
+   * @returns {Promise<string>} - Authenticated user login
+   */
+  async _getLogin() {
+    if (!this.login) {
+      const { data } = await this.client.users.getAuthenticated();
+      this.login = data.login;
+    }
+    return this.login;
+  }
+
+  /**
+   * Maps a repository from the API to the shape used by the tool
+   * @param {Object} data - Repository from the API
+   * @returns {Object} - Repository information
+   */
+  _toRepository(data) {
+    return {
+      id: data.id,
+      name: data.name,
+      url: data.html_url,
+      private: data.private,
+      visibility: data.visibility || (data.private ? 'private' : 'public'),
+      topics: data.topics || [],
+      forked: data.fork,
+      archived: data.archived,
+      owner: data.owner.login,
+      defaultBranch: data.default_branch,
+      permissions: data.permissions || null
+    };
+  }
+
+  /**
+   * Reads the branch protection of every repository of an owner with GraphQL,
+   * 100 repositories per request, converted to the REST response shape.
+   * Branches are resolved through each rule's matching refs. A repository is
+   * marked incomplete when a page limit truncated its rules, refs or actors,
+   * so callers can fall back to REST for it.
+   * @param {string} owner - Organization or user login
+   * @returns {Promise<Array<{repository: string, defaultBranch: string|null, complete: boolean, branches: Object}>>}
+   *   - Protection by branch name per repository
+   */
+  async listBranchProtection(owner) {
+    try {
+      logger.info(`🔍 Reading branch protection for all repositories of ${owner} with GraphQL...`);
+      const repositories = [];
+      let cursor = null;
+
+      do {
+        const { repositoryOwner } = await this.client.graphql(BRANCH_PROTECTION_QUERY, { owner, cursor });
+        if (!repositoryOwner) {
+          throw new Error(`Owner ${owner} not found`);
+        }
+        const page = repositoryOwner.repositories;
+        page.nodes.forEach(repo => repositories.push(this._toBranchProtectionEntry(repo)));
+        cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+      } while (cursor);
+
+      logger.info(`✅ Read branch protection for ${repositories.length} repositories of ${owner}`);
+      return repositories;
     } catch (error) {
-      logger.error(`❌ Failed to list repositories for org ${org}:`, error);
+      logger.error(`❌ Failed to read branch protection for ${owner} with GraphQL:`, error);
       throw error;
     }
   }
 
+  /**
+   * Maps a repository from the bulk branch protection query to protection by branch
+   * @param {Object} repo - Repository node
+   * @returns {{repository: string, defaultBranch: string|null, complete: boolean, branches: Object}} - Protection entry
+   */
+  _toBranchProtectionEntry(repo) {
+    const rules = repo.branchProtectionRules;
+    const actorLists = rule => [rule.reviewDismissalAllowances, rule.bypassPullRequestAllowances, rule.pushAllowances];
+    const complete = !rules.pageInfo.hasNextPage && rules.nodes.every(rule =>
+      rule.matchingRefs.totalCount <= rule.matchingRefs.nodes.length &&
+      actorLists(rule).every(list => list.totalCount <= list.nodes.length)
+    );
+
+    // Like GitHub, a branch matched by several rules gets the most specific one
+    const matches = {};
+    for (const rule of rules.nodes) {
+      for (const ref of rule.matchingRefs.nodes) {
+        const best = matches[ref.name];
+        if (!best || this._patternSpecificity(rule.pattern) > this._patternSpecificity(best.pattern)) {
+          matches[ref.name] = rule;
+        }
+      }
+    }
+
+    const branches = {};
+    for (const [branch, rule] of Object.entries(matches)) {
+      branches[branch] = this._toRestProtection(rule);
+    }
+
+    const defaultBranch = repo.defaultBranchRef?.name || null;
+    if (complete && defaultBranch && !(defaultBranch in branches)) {
+      branches[defaultBranch] = null;
+    }
+
+    return { repository: repo.name, defaultBranch, complete, branches };
+  }
+
+  /**
+   * Ranks a branch protection rule pattern: exact branch names come first,
+   * then patterns with fewer wildcards
+   * @param {string} pattern - Rule pattern
+   * @returns {number} - Higher for more specific patterns
+   */
+  _patternSpecificity(pattern) {
+    const wildcards = (pattern.match(/[*?[]/g) || []).length;
+    return wildcards === 0 ? Infinity : -wildcards;
+  }
+
+  /**
+   * Converts a GraphQL branch protection rule to the REST response shape
+   * @param {Object} rule - Branch protection rule node
+   * @returns {Object} - Branch protection settings (REST GET shape)
+   */
+  _toRestProtection(rule) {
+    const enabled = value => ({ enabled: Boolean(value) });
+    const actors = list => {
+      const nodes = list.nodes.map(node => node.actor).filter(Boolean);
+      return {
+        users: nodes.filter(actor => actor.__typename === 'User').map(actor => ({ login: actor.login })),
+        teams: nodes.filter(actor => actor.__typename === 'Team').map(actor => ({ slug: actor.slug })),
+        apps: nodes.filter(actor => actor.__typename === 'App').map(actor => ({ slug: actor.slug }))
+      };
+    };
+    const statusChecks = rule.requiredStatusChecks || [];
+
+    return {
+      required_status_checks: rule.requiresStatusChecks ? {
+        strict: rule.requiresStrictStatusChecks,
+        contexts: statusChecks.map(check => check.context),
+        checks: statusChecks.map(check => ({ context: check.context, app_id: check.app?.databaseId ?? null }))
+      } : undefined,
+      enforce_admins: enabled(rule.isAdminEnforced),
+      required_pull_request_reviews: rule.requiresApprovingReviews ? {
+        dismiss_stale_reviews: rule.dismissesStaleReviews,
+        require_code_owner_reviews: rule.requiresCodeOwnerReviews,
+        require_last_push_approval: rule.requireLastPushApproval,
+        required_approving_review_count: rule.requiredApprovingReviewCount,
+        dismissal_restrictions: rule.restrictsReviewDismissals ? actors(rule.reviewDismissalAllowances) : undefined,
+        bypass_pull_request_allowances: actors(rule.bypassPullRequestAllowances)
+      } : undefined,
+      restrictions: rule.restrictsPushes ? actors(rule.pushAllowances) : undefined,
+      required_linear_history: enabled(rule.requiresLinearHistory),
+      allow_force_pushes: enabled(rule.allowsForcePushes),
+      allow_deletions: enabled(rule.allowsDeletions),
+      block_creations: enabled(rule.blocksCreations),
+      required_conversation_resolution: enabled(rule.requiresConversationResolution),
+      lock_branch: enabled(rule.lockBranch),
+      allow_fork_syncing: enabled(rule.lockAllowsFetchAndMerge),
+      required_signatures: enabled(rule.requiresCommitSignatures)
+    };
+  }
+
   /**
    * Paginates through API results
    * @param {Function} requestFunction - Request function to paginate
@@ -147,5 +655,7 @@ class GitHubClient {
   }
 }
 
+GitHubClient.GHES_FEATURES = GHES_FEATURES;
+
 module.exports = GitHubClient;
 
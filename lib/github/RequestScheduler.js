@@ -0,0 +1,267 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const logger = require('../utils/logger');
+
+// Methods GitHub asks integrations to space out to avoid secondary rate limits
+const WRITE_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+
+// Transient server errors worth retrying
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Pause used for secondary rate limits that come without a retry-after header
+const SECONDARY_LIMIT_PAUSE = 60000;
+
+/**
+ * Rate-limit-aware scheduler every Octokit request goes through.
+ *
+ * Tracks the primary rate limit per resource from the `x-ratelimit-*`
+ * response headers and paces requests out over the time left until the reset
+ * once the remaining budget runs low. Rate limit errors pause the whole queue
+ * (honouring `retry-after` for secondary limits), writes are spaced apart, and
+ * transient server errors are retried with exponential backoff.
+ */
+class RequestScheduler {
+  /**
+   * @param {object} [options] - Scheduler options
+   * @param {number} [options.maxConcurrent] - Requests in flight at once
+   * @param {number} [options.maxRetries] - Retries per request
+   * @param {number} [options.writeInterval] - Minimum time between write requests in milliseconds
+   * @param {number} [options.reserve] - Remaining requests below which requests are paced until the reset
+   * @param {number} [options.initialBackoff] - First backoff for transient errors in milliseconds
+   */
+  constructor({
+    maxConcurrent = 10,
+    maxRetries = 5,
+    writeInterval = 1000,
+    reserve = 100,
+    initialBackoff = 1000
+  } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxRetries = maxRetries;
+    this.writeInterval = writeInterval;
+    this.reserve = reserve;
+    this.initialBackoff = initialBackoff;
+
+    this.queue = [];
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.nextWriteAt = 0;
+    this.limits = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Routes every request of an Octokit instance through the scheduler
+   * @param {Object} octokit - Octokit instance
+   * @returns {Object} The same Octokit instance
+   */
+  install(octokit) {
+    octokit.hook.wrap('request', (request, options) => this.schedule(() => request(options), options));
+    return octokit;
+  }
+
+  /**
+   * Queues a request
+   * @param {Function} task - Function sending the request
+   * @param {Object} [options] - Octokit request options (method and url)
+   * @returns {Promise<Object>} - Response of the request
+   */
+  schedule(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        task,
+        write: WRITE_METHODS.includes(String(options.method).toUpperCase()),
+        resource: /\/graphql$/.test(options.url || '') ? 'graphql' : 'core',
+        attempt: 0,
+        notBefore: 0,
+        resolve,
+        reject
+      });
+      this._drain();
+    });
+  }
+
+  /**
+   * Starts queued requests that are ready, and sets a timer for the next one
+   */
+  _drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.active < this.maxConcurrent && this.queue.length) {
+      const now = Date.now();
+      const index = this.queue.findIndex(job => this._readyAt(job) <= now);
+      if (index === -1) {
+        const wait = Math.min(...this.queue.map(job => this._readyAt(job))) - now;
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this._drain();
+        }, wait);
+        return;
+      }
+
+      const [job] = this.queue.splice(index, 1);
+      this._run(job);
+    }
+  }
+
+  /**
+   * Computes the earliest time a queued request may start
+   * @param {Object} job - Queued request
+   * @returns {number} - Timestamp in milliseconds
+   */
+  _readyAt(job) {
+    let readyAt = Math.max(this.pausedUntil, job.notBefore);
+    if (job.write) {
+      readyAt = Math.max(readyAt, this.nextWriteAt);
+    }
+
+    const limit = this.limits.get(job.resource);
+    if (limit && limit.remaining <= 0) {
+      readyAt = Math.max(readyAt, limit.reset);
+    } else if (limit && limit.remaining < this.reserve) {
+      readyAt = Math.max(readyAt, limit.nextAt);
+    }
+    return readyAt;
+  }
+
+  /**
+   * Sends a request, retrying it when the error allows
+   * @param {Object} job - Queued request
+   */
+  async _run(job) {
+    this.active++;
+    const now = Date.now();
+    if (job.write) {
+      this.nextWriteAt = now + this.writeInterval;
+    }
+
+    // Count the request against the budget before the response arrives, so
+    // concurrent requests do not overshoot it
+    const limit = this.limits.get(job.resource);
+    if (limit && now < limit.reset) {
+      limit.remaining--;
+      limit.nextAt = now + Math.max(0, limit.reset - now) / Math.max(1, limit.remaining);
+    }
+
+    try {
+      const response = await job.task();
+      this._updateLimits(response.headers);
+      job.resolve(response);
+    } catch (error) {
+      this._updateLimits(error.response?.headers);
+      const retryDelay = this._retryDelay(error, job);
+      if (retryDelay === null) {
+        job.reject(error);
+      } else {
+        job.attempt++;
+        job.notBefore = Date.now() + retryDelay;
+        this.queue.unshift(job);
+      }
+    } finally {
+      this.active--;
+      this._drain();
+    }
+  }
+
+  /**
+   * Records the rate limit reported by a response
+   * @param {Object} [headers] - Response headers
+   */
+  _updateLimits(headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    const reset = Number(headers['x-ratelimit-reset']) * 1000;
+    const now = Date.now();
+    const previous = this.limits.get(resource);
+
+    // Responses can arrive out of order; keep the lowest count within a window
+    if (previous && previous.reset === reset && previous.remaining < remaining) {
+      return;
+    }
+    this.limits.set(resource, {
+      remaining,
+      reset,
+      nextAt: now + Math.max(0, reset - now) / Math.max(1, remaining)
+    });
+  }
+
+  /**
+   * Decides whether and when a failed request is retried. Rate limit errors
+   * pause the whole queue; transient server errors back off the request alone.
+   * @param {Error} error - Request error
+   * @param {Object} job - Queued request
+   * @returns {number|null} - Delay in milliseconds, or null to give up
+   */
+  _retryDelay(error, job) {
+    if (job.attempt >= this.maxRetries) {
+      if (error.status === 403 || error.status === 429 || RETRYABLE_STATUSES.includes(error.status)) {
+        logger.error(`❌ Maximum retries (${this.maxRetries}) exceeded`);
+      }
+      return null;
+    }
+
+    const headers = error.response?.headers || {};
+    if (error.status === 403 || error.status === 429) {
+      if (headers['retry-after'] !== undefined) {
+        this._pause(Number(headers['retry-after']) * 1000, 'Secondary rate limit hit');
+        return 0;
+      }
+      if (headers['x-ratelimit-remaining'] === '0') {
+        this._pause(Number(headers['x-ratelimit-reset']) * 1000 - Date.now() + 1000, 'Rate limit exhausted');
+        return 0;
+      }
+      if (/secondary rate limit/i.test(error.message || '')) {
+        this._pause(SECONDARY_LIMIT_PAUSE * 2 ** job.attempt, 'Secondary rate limit hit');
+        return 0;
+      }
+      return null;
+    }
+
+    if (RETRYABLE_STATUSES.includes(error.status)) {
+      const backoff = this.initialBackoff * 2 ** job.attempt;
+      logger.warn(`⚠️ GitHub API error ${error.status}. Retrying in ${backoff / 1000} seconds`);
+      return backoff;
+    }
+
+    return null;
+  }
+
+  /**
+   * Holds back every queued request for a while
+   * @param {number} duration - Pause in milliseconds
+   * @param {string} reason - Reason for the log message
+   */
+  _pause(duration, reason) {
+    const until = Date.now() + Math.max(duration, 1000);
+    if (until > this.pausedUntil + 1000) {
+      logger.warn(`⏳ ${reason}, pausing requests until ${new Date(until).toLocaleTimeString()}`);
+    }
+    this.pausedUntil = Math.max(this.pausedUntil, until);
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,482 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { isEquivalent } = require('../utils/diff');
+
+// Read-only fields returned by the API
+const READ_ONLY_FIELDS = ['id', 'node_id', '_links', 'created_at', 'updated_at', 'current_user_can_bypass'];
+
+// Fields sent when creating or updating a ruleset
+const REQUEST_FIELDS = ['name', 'target', 'enforcement', 'conditions', 'rules', 'bypass_actors'];
+
+// ID of the built-in repository admin role, used as a bypass actor
+const REPOSITORY_ADMIN_ROLE_ID = 5;
+
+/**
+ * Manages repository and organization rulesets.
+ *
+ * Every method takes an `owner` and an optional `repositoryName`; without a
+ * repository name it operates on the organization's rulesets.
+ */
+class RulesetManager {
+  constructor(githubClient) {
+    this.client = githubClient;
+  }
+
+  /**
+   * Loads ruleset JSON files. Directories are searched recursively.
+   * @param {string[]} paths - Files or directories
+   * @returns {Array<{file: string, ruleset: Object}>} Loaded rulesets
+   */
+  static loadFiles(paths) {
+    return RulesetManager.findFiles(paths).map(file => {
+      try {
+        return { file, ruleset: JSON.parse(fs.readFileSync(file, 'utf8')) };
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Expands files and directories into the list of ruleset JSON files
+   * @param {string[]} paths - Files or directories
+   * @returns {string[]} JSON files, sorted
+   */
+  static findFiles(paths) {
+    const files = [];
+    for (const entry of paths) {
+      if (fs.statSync(entry).isDirectory()) {
+        const children = fs.readdirSync(entry).map(child => path.join(entry, child));
+        files.push(...RulesetManager.findFiles(children.filter(child =>
+          fs.statSync(child).isDirectory() || child.endsWith('.json')
+        )));
+      } else {
+        files.push(entry);
+      }
+    }
+    return files.sort();
+  }
+
+  /**
+   * Checks whether a ruleset file describes an organization ruleset
+   * @param {Object} ruleset - Ruleset as stored in a file
+   * @returns {boolean} true for organization rulesets
+   */
+  static isOrganizationRuleset(ruleset) {
+    return ruleset.source_type === 'Organization';
+  }
+
+  /**
+   * Converts a ruleset (from a file or the API) into a create/update request body,
+   * dropping `source`, `source_type` and read-only fields that the API rejects
+   * @param {Object} ruleset - Ruleset
+   * @returns {Object} Request body
+   */
+  static toRequest(ruleset) {
+    const request = {};
+    for (const field of REQUEST_FIELDS) {
+      if (ruleset[field] !== undefined) {
+        request[field] = ruleset[field];
+      }
+    }
+    return request;
+  }
+
+  /**
+   * Converts a ruleset returned by the API into the shape of the checked-in files
+   * @param {Object} ruleset - Ruleset from the API
+   * @returns {Object} Ruleset without read-only fields
+   */
+  static toExport(ruleset) {
+    const exported = { ...ruleset };
+    READ_ONLY_FIELDS.forEach(field => delete exported[field]);
+    return exported;
+  }
+
+  /**
+   * Converts classic branch protection into an equivalent branch ruleset.
+   * Settings without a ruleset equivalent are returned in `unmapped`.
+   * @param {Object} protection - Branch protection update request (see BranchProtectionManager#toUpdateRequest)
+   * @param {object} options - Conversion options
+   * @param {string} options.branch - Protected branch
+   * @param {boolean} options.isDefaultBranch - Whether the branch is the repository's default branch
+   * @param {string} options.name - Name of the ruleset
+   * @returns {{ruleset: Object, unmapped: Array<{setting: string, reason: string}>}} Ruleset and unmapped settings
+   */
+  static fromBranchProtection(protection, { branch, isDefaultBranch, name }) {
+    const rules = [];
+    const unmapped = [];
+    const reviews = protection.required_pull_request_reviews;
+
+    // Classic protection blocks deletions and force pushes unless they are allowed explicitly
+    if (protection.allow_deletions !== true) {
+      rules.push({ type: 'deletion' });
+    }
+    if (protection.allow_force_pushes !== true) {
+      rules.push({ type: 'non_fast_forward' });
+    }
+    if (protection.required_linear_history) {
+      rules.push({ type: 'required_linear_history' });
+    }
+    if (protection.required_signatures) {
+      rules.push({ type: 'required_signatures' });
+    }
+    if (protection.block_creations) {
+      rules.push({ type: 'creation' });
+    }
+    if (protection.lock_branch) {
+      rules.push({
+        type: 'update',
+        parameters: { update_allows_fetch_and_merge: protection.allow_fork_syncing ?? false }
+      });
+    }
+
+    if (reviews || protection.required_conversation_resolution) {
+      rules.push({
+        type: 'pull_request',
+        parameters: {
+          dismiss_stale_reviews_on_push: reviews?.dismiss_stale_reviews ?? false,
+          require_code_owner_review: reviews?.require_code_owner_reviews ?? false,
+          require_last_push_approval: reviews?.require_last_push_approval ?? false,
+          required_approving_review_count: reviews?.required_approving_review_count ?? 0,
+          required_review_thread_resolution: protection.required_conversation_resolution ?? false
+        }
+      });
+    }
+    if (reviews?.dismissal_restrictions) {
+      unmapped.push({
+        setting: 'required_pull_request_reviews.dismissal_restrictions',
+        reason: 'rulesets do not restrict who can dismiss reviews'
+      });
+    }
+    if (reviews?.bypass_pull_request_allowances) {
+      unmapped.push({
+        setting: 'required_pull_request_reviews.bypass_pull_request_allowances',
+        reason: 'pull request bypass allowances must be recreated as bypass actors by team or app ID'
+      });
+    }
+
+    const statusChecks = protection.required_status_checks;
+    if (statusChecks) {
+      rules.push({
+        type: 'required_status_checks',
+        parameters: {
+          strict_required_status_checks_policy: statusChecks.strict ?? false,
+          required_status_checks: statusChecks.checks.map(check =>
+            check.app_id === undefined ? { context: check.context } : { context: check.context, integration_id: check.app_id }
+          )
+        }
+      });
+    }
+
+    if (protection.restrictions) {
+      unmapped.push({
+        setting: 'restrictions',
+        reason: 'push restrictions have no ruleset equivalent; use an update rule with bypass actors'
+      });
+    }
+
+    // Classic protection lets admins bypass it unless enforce_admins is on
+    const bypassActors = protection.enforce_admins
+      ? []
+      : [{ actor_id: REPOSITORY_ADMIN_ROLE_ID, actor_type: 'RepositoryRole', bypass_mode: 'always' }];
+
+    return {
+      ruleset: {
+        name,
+        target: 'branch',
+        enforcement: 'active',
+        conditions: {
+          ref_name: {
+            exclude: [],
+            include: [isDefaultBranch ? '~DEFAULT_BRANCH' : `refs/heads/${branch}`]
+          }
+        },
+        rules,
+        bypass_actors: bypassActors
+      },
+      unmapped
+    };
+  }
+
+  /**
+   * Lists rulesets with their full definitions
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository or the organization
+   * @param {string} [params.repositoryName] - Repository name; omit for organization rulesets
+   * @returns {Promise<Array<Object>>} Rulesets
+   */
+  async listRulesets({ owner, repositoryName }) {
+    try {
+      const summaries = await this._listSummaries({ owner, repositoryName });
+      const rulesets = [];
+      for (const summary of summaries) {
+        rulesets.push(await this.getRuleset({ owner, repositoryName, id: summary.id }));
+      }
+      return rulesets;
+    } catch (error) {
+      logger.error(`❌ Failed to list rulesets for ${this._scope(owner, repositoryName)}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the rulesets defined on a repository or organization, as the summaries
+   * of the list endpoint (ID, name, source, target and enforcement, no rules)
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository or the organization
+   * @param {string} [params.repositoryName] - Repository name; omit for organization rulesets
+   * @returns {Promise<Array<Object>>} Ruleset summaries
+   */
+  async _listSummaries({ owner, repositoryName }) {
+    return repositoryName
+      ? this.client._paginate(this.client.client.repos.getRepoRulesets.endpoint.merge({
+        owner,
+        repo: repositoryName,
+        includes_parents: false,
+        per_page: 100
+      }))
+      : this.client._paginate(this.client.client.repos.getOrgRulesets.endpoint.merge({
+        org: owner,
+        per_page: 100
+      }));
+  }
+
+  /**
+   * Gets a single ruleset
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository or the organization
+   * @param {string} [params.repositoryName] - Repository name; omit for organization rulesets
+   * @param {number} params.id - Ruleset ID
+   * @returns {Promise<Object>} Ruleset
+   */
+  async getRuleset({ owner, repositoryName, id }) {
+    const { data } = repositoryName
+      ? await this.client.client.repos.getRepoRuleset({ owner, repo: repositoryName, ruleset_id: id })
+      : await this.client.client.repos.getOrgRuleset({ org: owner, ruleset_id: id });
+    return data;
+  }
+
+  /**
+   * Lists the ruleset rules in effect on a branch, from repository and organization rulesets
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository
+   * @param {string} params.repositoryName - Name of the repository
+   * @param {string} params.branch - Branch name
+   * @returns {Promise<Array<Object>>} Active rules with the ID and source of their ruleset
+   */
+  async getBranchRules({ owner, repositoryName, branch }) {
+    try {
+      return await this.client._paginate(this.client.client.repos.getBranchRules.endpoint.merge({
+        owner,
+        repo: repositoryName,
+        branch,
+        per_page: 100
+      }));
+    } catch (error) {
+      logger.error(`❌ Failed to list rules in effect on ${repositoryName}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finds a ruleset by name among the rulesets defined on the repository or
+   * organization itself. Only the matching ruleset is fetched in full.
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository or the organization
+   * @param {string} [params.repositoryName] - Repository name; omit for organization rulesets
+   * @param {string} params.name - Ruleset name
+   * @returns {Promise<Object|undefined>} Ruleset, or undefined if none has that name
+   */
+  async findRuleset({ owner, repositoryName, name }) {
+    const sourceType = repositoryName ? 'Repository' : 'Organization';
+    const summaries = await this._listSummaries({ owner, repositoryName });
+    const summary = summaries.find(candidate =>
+      candidate.name === name && (candidate.source_type || sourceType) === sourceType);
+    return summary ? this.getRuleset({ owner, repositoryName, id: summary.id }) : undefined;
+  }
+
+  /**
+   * Creates a ruleset; fails if a ruleset with the same name exists
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository or the organization
+   * @param {string} [params.repositoryName] - Repository name; omit for organization rulesets
+   * @param {Object} params.ruleset - Ruleset definition
+   * @param {Object|null} [params.existing] - Ruleset with the same name when already looked up
+   *   (null if there is none); looked up when omitted
+   * @param {boolean} [params.dryRun] - Only report what would happen
+   * @returns {Promise<{action: string, id?: number}>} Result of the operation
+   */
+  async createRuleset({ owner, repositoryName, ruleset, existing, dryRun = false }) {
+    const scope = this._scope(owner, repositoryName);
+    try {
+      if (existing === undefined) {
+        existing = await this.findRuleset({ owner, repositoryName, name: ruleset.name });
+      }
+      if (existing) {
+        throw new Error(`Ruleset "${ruleset.name}" already exists on ${scope} (id ${existing.id})`);
+      }
+      if (dryRun) {
+        return { action: 'created' };
+      }
+
+      const request = RulesetManager.toRequest(ruleset);
+      const { data } = repositoryName
+        ? await this.client.client.repos.createRepoRuleset({ owner, repo: repositoryName, ...request })
+        : await this.client.client.repos.createOrgRuleset({ org: owner, ...request });
+
+      logger.info(`✅ Created ruleset "${ruleset.name}" on ${scope}`);
+      return { action: 'created', id: data.id };
+    } catch (error) {
+      logger.error(`❌ Failed to create ruleset "${ruleset.name}" on ${scope}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates or updates a ruleset, matched by name. Rulesets that already match
+   * the definition are left untouched, so the operation is idempotent.
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository or the organization
+   * @param {string} [params.repositoryName] - Repository name; omit for organization rulesets
+   * @param {Object} params.ruleset - Ruleset definition
+   * @param {Object|null} [params.existing] - Ruleset with the same name when already looked up
+   *   (null if there is none); looked up when omitted
+   * @param {boolean} [params.dryRun] - Only report what would happen
+   * @returns {Promise<{action: string, id?: number}>} Result: created, updated or unchanged
+   */
+  async updateRuleset({ owner, repositoryName, ruleset, existing, dryRun = false }) {
+    const scope = this._scope(owner, repositoryName);
+    try {
+      if (existing === undefined) {
+        existing = await this.findRuleset({ owner, repositoryName, name: ruleset.name });
+      }
+      if (!existing) {
+        return this.createRuleset({ owner, repositoryName, ruleset, existing: null, dryRun });
+      }
+
+      const request = RulesetManager.toRequest(ruleset);
+      if (this._matches(existing, request)) {
+        return { action: 'unchanged', id: existing.id };
+      }
+      if (dryRun) {
+        return { action: 'updated', id: existing.id };
+      }
+
+      if (repositoryName) {
+        await this.client.client.repos.updateRepoRuleset({ owner, repo: repositoryName, ruleset_id: existing.id, ...request });
+      } else {
+        await this.client.client.repos.updateOrgRuleset({ org: owner, ruleset_id: existing.id, ...request });
+      }
+
+      logger.info(`✅ Updated ruleset "${ruleset.name}" on ${scope}`);
+      return { action: 'updated', id: existing.id };
+    } catch (error) {
+      logger.error(`❌ Failed to update ruleset "${ruleset.name}" on ${scope}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a ruleset by name
+   * @param {object} params - Parameters object
+   * @param {string} params.owner - Owner of the repository or the organization
+   * @param {string} [params.repositoryName] - Repository name; omit for organization rulesets
+   * @param {string} params.name - Ruleset name
+   * @param {boolean} [params.dryRun] - Only report what would happen
+   * @returns {Promise<{action: string, id?: number}>} Result: deleted or absent
+   */
+  async deleteRuleset({ owner, repositoryName, name, dryRun = false }) {
+    const scope = this._scope(owner, repositoryName);
+    try {
+      const existing = await this.findRuleset({ owner, repositoryName, name });
+      if (!existing) {
+        return { action: 'absent' };
+      }
+      if (dryRun) {
+        return { action: 'deleted', id: existing.id };
+      }
+
+      if (repositoryName) {
+        await this.client.client.repos.deleteRepoRuleset({ owner, repo: repositoryName, ruleset_id: existing.id });
+      } else {
+        await this.client.client.repos.deleteOrgRuleset({ org: owner, ruleset_id: existing.id });
+      }
+
+      logger.info(`✅ Deleted ruleset "${name}" from ${scope}`);
+      return { action: 'deleted', id: existing.id };
+    } catch (error) {
+      logger.error(`❌ Failed to delete ruleset "${name}" from ${scope}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether an existing ruleset already matches a request body. Both
+   * sides are reduced to request fields first. The API fills in defaults for
+   * rule parameters a file leaves out, so only the parameters the request sets
+   * are compared.
+   * @param {Object} existing - Ruleset from the API
+   * @param {Object} request - Create/update request body
+   * @returns {boolean} true if no update is needed
+   */
+  _matches(existing, request) {
+    const wanted = RulesetManager.toRequest(request);
+    const actual = RulesetManager.toRequest(existing);
+    if (Array.isArray(wanted.rules) && Array.isArray(actual.rules)) {
+      actual.rules = actual.rules.map(rule => {
+        const wantedRule = wanted.rules.find(candidate => candidate.type === rule.type);
+        if (!wantedRule || !rule.parameters) {
+          return rule;
+        }
+        if (!wantedRule.parameters) {
+          const { parameters, ...withoutParameters } = rule;
+          return withoutParameters;
+        }
+        const parameters = {};
+        Object.keys(wantedRule.parameters || {}).forEach(key => {
+          parameters[key] = rule.parameters[key];
+        });
+        return { ...rule, parameters };
+      });
+    }
+
+    return Object.keys(wanted).every(field => {
+      const wantedValue = wanted[field] ?? null;
+      const actualValue = actual[field] ?? (field === 'bypass_actors' ? [] : null);
+      return isEquivalent(wantedValue, actualValue);
+    });
+  }
+
+  /**
+   * Describes where a ruleset lives, for log messages
+   * @param {string} owner - Owner of the repository or the organization
+   * @param {string} [repositoryName] - Repository name
+   * @returns {string} Scope description
+   */
+  _scope(owner, repositoryName) {
+    return repositoryName ? `${owner}/${repositoryName}` : `organization ${owner}`;
+  }
+}
+
+module.exports = RulesetManager;
@@ -1,27 +1,39 @@
 const GitHubClient = require('./GitHubClient');
 const BranchProtectionManager = require('./BranchProtectionManager');
+const RulesetManager = require('./RulesetManager');
+const RequestScheduler = require('./RequestScheduler');
 const KHULNASOFT_CHECKS = require('./KhulnasoftChecks');
 
 /**
- * Creates a GitHub API instance with both the raw client and the branch protection manager
- * @param {string} token - GitHub API token
- * @returns {Object} GitHub API instance with client and branch protection manager
+ * Creates a GitHub API instance with the raw client and the managers built on it
+ * @param {string|object} auth - GitHub API token, or GitHub App credentials ({ appId, privateKey, installationId? })
+ * @param {object} [options] - Client options
+ * @param {string} [options.baseUrl] - REST API URL for GitHub Enterprise Server
+ * @param {object} [options.scheduler] - Request scheduler options (maxConcurrent, maxRetries, ...)
+ * @returns {Object} GitHub API instance with client, branch protection manager and ruleset manager
  */
-function createGithubAPI(token) {
-  if (!token) {
+function createGithubAPI(auth, options = {}) {
+  if (!auth) {
     throw new Error('GitHub token is required');
   }
+  if (typeof auth === 'object' && (!auth.appId || !auth.privateKey)) {
+    throw new Error('GitHub App ID and private key are required');
+  }
 
   // Create the GitHub client instance
-  const client = new GitHubClient(token);
+  const client = new GitHubClient(auth, options);
   
   // Create the branch protection manager using the client
   const branchProtectionManager = new BranchProtectionManager(client);
+
+  // Create the ruleset manager using the same client
+  const rulesetManager = new RulesetManager(client);
   
-  // Return an object with both instances
+  // Return an object with all instances
   return {
     client,
-    branchProtectionManager
+    branchProtectionManager,
+    rulesetManager
   };
 }
 
@@ -29,5 +41,7 @@ module.exports = {
   createGithubAPI,
   GitHubClient,
   BranchProtectionManager,
+  RulesetManager,
+  RequestScheduler,
   KHULNASOFT_CHECKS
 };
@@ -0,0 +1,370 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { matchesGlob } = require('../utils/glob');
+const { REVIEW_SETTINGS, REVIEW_ACTOR_SETTINGS } = require('../github/BranchProtectionManager');
+
+// Pattern matching the repository's default branch, as used by rulesets
+const DEFAULT_BRANCH_PATTERN = '~DEFAULT_BRANCH';
+
+// Settings a policy may declare, in branch protection update request shape
+const BOOLEAN_SETTINGS = [
+  'enforce_admins',
+  'required_linear_history',
+  'allow_force_pushes',
+  'allow_deletions',
+  'block_creations',
+  'required_conversation_resolution',
+  'lock_branch',
+  'allow_fork_syncing',
+  'required_signatures'
+];
+const OBJECT_SETTINGS = [
+  'required_status_checks',
+  'required_pull_request_reviews',
+  'restrictions'
+];
+
+// Kinds of actors listed by push restrictions and review actor settings
+const ACTOR_KINDS = ['users', 'teams', 'apps'];
+
+// Highest number of approving reviews the API accepts
+const MAX_APPROVING_REVIEWS = 6;
+
+/**
+ * Declarative branch protection policy loaded from a YAML or JSON file.
+ *
+ * A policy lists branch rules; each rule selects branches by pattern and
+ * describes the protection they should have. Settings a rule does not
+ * mention keep their current value.
+ *
+ * @example
+ * branches:
+ *   - pattern: ~DEFAULT_BRANCH
+ *     protection:
+ *       enforce_admins: true
+ *       required_status_checks:
+ *         strict: true
+ *         checks: ["ci / build", { context: "Lint", app_id: 15368 }]
+ *       required_pull_request_reviews:
+ *         required_approving_review_count: 2
+ *         require_code_owner_reviews: true
+ */
+class Policy {
+  /**
+   * @param {Object} data - Parsed policy document
+   * @param {string} [source] - File the policy was loaded from, used in error messages
+   */
+  constructor(data, source = 'policy') {
+    this.source = source;
+    this.branches = Policy._validate(data, source);
+  }
+
+  /**
+   * Loads a policy from a YAML (.yml, .yaml) or JSON file
+   * @param {string} file - Path to the policy file
+   * @returns {Policy} - Loaded policy
+   */
+  static load(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+    const data = extension === '.json' ? JSON.parse(content) : yaml.load(content);
+    return new Policy(data, file);
+  }
+
+  /**
+   * Finds the rule that applies to a branch; the first matching rule wins
+   * @param {string} branch - Branch name
+   * @param {string} defaultBranch - Default branch of the repository
+   * @returns {Object|undefined} - Matching branch rule
+   */
+  ruleFor(branch, defaultBranch) {
+    return this.branches.find(rule => Policy.matches(rule.pattern, branch, defaultBranch));
+  }
+
+  /**
+   * Resolves the branches of a repository that are covered by the policy
+   * @param {string[]} branchNames - Branches of the repository
+   * @param {string} defaultBranch - Default branch of the repository
+   * @returns {Array<{branch: string, rule: Object}>} - Branches with their rule
+   */
+  resolveBranches(branchNames, defaultBranch) {
+    return branchNames
+      .map(branch => ({ branch, rule: this.ruleFor(branch, defaultBranch) }))
+      .filter(entry => entry.rule);
+  }
+
+  /**
+   * Checks whether the policy needs the repository's branch list, i.e. whether
+   * any rule targets something other than the default branch
+   * @returns {boolean} - true if branches must be listed
+   */
+  needsBranchList() {
+    return this.branches.some(rule => rule.pattern !== DEFAULT_BRANCH_PATTERN);
+  }
+
+  /**
+   * Checks whether a branch pattern selects a branch
+   * @param {string} pattern - Branch name, glob pattern (e.g. release/*) or ~DEFAULT_BRANCH
+   * @param {string} branch - Branch name
+   * @param {string} defaultBranch - Default branch of the repository
+   * @returns {boolean} - true if the pattern selects the branch
+   */
+  static matches(pattern, branch, defaultBranch) {
+    if (pattern === DEFAULT_BRANCH_PATTERN) {
+      return branch === defaultBranch;
+    }
+    return matchesGlob(branch, pattern);
+  }
+
+  /**
+   * Applies a rule to the current protection
+   * @param {Object} current - Current branch protection update request
+   * @param {Object} rule - Branch rule from the policy
+   * @returns {Object} - Desired branch protection update request
+   */
+  applyTo(current, rule) {
+    const desired = JSON.parse(JSON.stringify(current));
+    const protection = rule.protection;
+
+    for (const setting of BOOLEAN_SETTINGS) {
+      if (protection[setting] !== undefined) {
+        desired[setting] = protection[setting];
+      }
+    }
+    if (desired.enforce_admins === null || desired.enforce_admins === undefined) {
+      desired.enforce_admins = false;
+    }
+
+    if (protection.required_status_checks !== undefined) {
+      const checks = protection.required_status_checks;
+      desired.required_status_checks = checks === null ? null : {
+        strict: checks.strict ?? current.required_status_checks?.strict ?? false,
+        checks: checks.checks
+          ? checks.checks.map(Policy._toCheck)
+          : current.required_status_checks?.checks || []
+      };
+    }
+
+    if (protection.required_pull_request_reviews !== undefined) {
+      const reviews = protection.required_pull_request_reviews;
+      desired.required_pull_request_reviews = reviews === null ? null : {
+        dismiss_stale_reviews: false,
+        require_code_owner_reviews: false,
+        required_approving_review_count: 1,
+        ...current.required_pull_request_reviews,
+        ...reviews
+      };
+    }
+
+    if (protection.restrictions !== undefined) {
+      const restrictions = protection.restrictions;
+      desired.restrictions = restrictions === null ? null : {
+        users: restrictions.users || [],
+        teams: restrictions.teams || [],
+        apps: restrictions.apps || []
+      };
+    }
+
+    return desired;
+  }
+
+  /**
+   * Audits the current protection of a branch against a rule used as a baseline.
+   * Review counts are minimums, listed checks must be present (other checks are
+   * allowed), review requirements enabled by the rule must be on and other
+   * boolean settings must match. Push restrictions are not audited.
+   * @param {Object|null} current - Current branch protection update request, null if unprotected
+   * @param {Object} rule - Branch rule from the policy
+   * @returns {Array<{setting: string, expected: any, actual: any, message: string}>} - Violations
+   */
+  audit(current, rule) {
+    if (!current) {
+      return [{ setting: 'protection', expected: 'protected', actual: null, message: 'Branch is not protected' }];
+    }
+
+    const protection = rule.protection;
+    const violations = [];
+    const violation = (setting, expected, actual, message) =>
+      violations.push({ setting, expected, actual, message });
+
+    for (const setting of BOOLEAN_SETTINGS) {
+      const expected = protection[setting];
+      const actual = current[setting] ?? false;
+      if (expected !== undefined && actual !== expected) {
+        violation(setting, expected, actual, `${setting} must be ${expected ? 'enabled' : 'disabled'}`);
+      }
+    }
+
+    const checks = protection.required_status_checks;
+    if (checks) {
+      const actualChecks = current.required_status_checks?.checks || [];
+      if (checks.strict && !current.required_status_checks?.strict) {
+        violation('required_status_checks.strict', true, current.required_status_checks?.strict ?? false,
+          'Branches must be up to date before merging');
+      }
+      for (const check of (checks.checks || []).map(Policy._toCheck)) {
+        const found = actualChecks.find(c => c.context === check.context &&
+          (check.app_id === undefined || c.app_id === check.app_id));
+        if (!found) {
+          const source = check.app_id === undefined ? '' : ` from app ${check.app_id}`;
+          violation('required_status_checks.checks', check, null, `Required check "${check.context}"${source} is missing`);
+        }
+      }
+    }
+
+    const reviews = protection.required_pull_request_reviews;
+    if (reviews) {
+      const actualReviews = current.required_pull_request_reviews;
+      const minimum = reviews.required_approving_review_count ?? 1;
+      const actualCount = actualReviews ? actualReviews.required_approving_review_count ?? 0 : null;
+      if (actualCount === null || actualCount < minimum) {
+        violation('required_pull_request_reviews.required_approving_review_count', minimum, actualCount,
+          actualReviews
+            ? `At least ${minimum} approving reviews required, found ${actualCount}`
+            : `Pull request reviews must be required (at least ${minimum} approvals)`);
+      }
+      for (const setting of ['require_code_owner_reviews', 'dismiss_stale_reviews', 'require_last_push_approval']) {
+        if (reviews[setting] && actualReviews && !actualReviews[setting]) {
+          violation(`required_pull_request_reviews.${setting}`, true, actualReviews[setting] ?? false,
+            `${setting} must be enabled`);
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Converts a policy check entry to its request shape
+   * @param {string|{context: string, app_id?: number}} check - Check name or object
+   * @returns {{context: string, app_id?: number}} - Status check
+   */
+  static _toCheck(check) {
+    if (typeof check === 'string') {
+      return { context: check };
+    }
+    return check.app_id === undefined || check.app_id === null
+      ? { context: check.context }
+      : { context: check.context, app_id: check.app_id };
+  }
+
+  /**
+   * Validates a parsed policy document
+   * @param {Object} data - Parsed policy document
+   * @param {string} source - File the policy was loaded from
+   * @returns {Array<Object>} - Branch rules
+   */
+  static _validate(data, source) {
+    if (!data || !Array.isArray(data.branches) || data.branches.length === 0) {
+      throw new Error(`${source}: policy must define a non-empty "branches" list`);
+    }
+
+    return data.branches.map((rule, index) => {
+      const where = `${source}: branches[${index}]`;
+      if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new Error(`${where}: "pattern" must be a non-empty string`);
+      }
+      if (!rule.protection || typeof rule.protection !== 'object') {
+        throw new Error(`${where}: "protection" must be an object`);
+      }
+
+      for (const [setting, value] of Object.entries(rule.protection)) {
+        if (BOOLEAN_SETTINGS.includes(setting)) {
+          if (typeof value !== 'boolean') {
+            throw new Error(`${where}.protection.${setting}: expected a boolean`);
+          }
+        } else if (OBJECT_SETTINGS.includes(setting)) {
+          if (value !== null && typeof value !== 'object') {
+            throw new Error(`${where}.protection.${setting}: expected an object or null`);
+          }
+        } else {
+          throw new Error(`${where}.protection: unknown setting "${setting}"`);
+        }
+      }
+
+      const checks = rule.protection.required_status_checks?.checks;
+      if (checks !== undefined && (!Array.isArray(checks) ||
+          checks.some(check => typeof check !== 'string' && typeof check?.context !== 'string'))) {
+        throw new Error(`${where}.protection.required_status_checks.checks: expected a list of check names or { context, app_id } objects`);
+      }
+      if (rule.protection.required_pull_request_reviews) {
+        Policy._validateReviews(rule.protection.required_pull_request_reviews, `${where}.protection.required_pull_request_reviews`);
+      }
+      if (rule.protection.restrictions) {
+        Policy._validateActors(rule.protection.restrictions, `${where}.protection.restrictions`);
+      }
+
+      return { pattern: rule.pattern, protection: rule.protection };
+    });
+  }
+
+  /**
+   * Validates the pull request review settings of a rule, so that a typo or a
+   * wrongly typed value is reported before anything is written
+   * @param {Object} reviews - required_pull_request_reviews of a rule
+   * @param {string} where - Location of the settings, for error messages
+   */
+  static _validateReviews(reviews, where) {
+    for (const [setting, value] of Object.entries(reviews)) {
+      if (setting === 'required_approving_review_count') {
+        if (!Number.isInteger(value) || value < 0 || value > MAX_APPROVING_REVIEWS) {
+          throw new Error(`${where}.${setting}: expected an integer from 0 to ${MAX_APPROVING_REVIEWS}`);
+        }
+      } else if (REVIEW_SETTINGS.includes(setting)) {
+        if (typeof value !== 'boolean') {
+          throw new Error(`${where}.${setting}: expected a boolean`);
+        }
+      } else if (REVIEW_ACTOR_SETTINGS.includes(setting)) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+          throw new Error(`${where}.${setting}: expected an object with users, teams and apps`);
+        }
+        Policy._validateActors(value, `${where}.${setting}`);
+      } else {
+        throw new Error(`${where}: unknown setting "${setting}"`);
+      }
+    }
+  }
+
+  /**
+   * Validates a users, teams and apps object
+   * @param {Object} actors - Actors object
+   * @param {string} where - Location of the object, for error messages
+   */
+  static _validateActors(actors, where) {
+    if (Array.isArray(actors)) {
+      throw new Error(`${where}: expected an object with users, teams and apps`);
+    }
+    for (const [kind, value] of Object.entries(actors)) {
+      if (!ACTOR_KINDS.includes(kind)) {
+        throw new Error(`${where}: unknown key "${kind}", expected users, teams or apps`);
+      }
+      if (!Array.isArray(value) || value.some(actor => typeof actor !== 'string' || !actor)) {
+        throw new Error(`${where}.${kind}: expected a list of names`);
+      }
+    }
+  }
+}
+
+Policy.DEFAULT_BRANCH_PATTERN = DEFAULT_BRANCH_PATTERN;
+
+module.exports = Policy;
@@ -0,0 +1,57 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const { entryDetails, entryTarget } = require('./details');
+
+// Columns of the CSV report, one row per report entry
+const COLUMNS = ['repository', 'target', 'status', 'dry_run', 'details'];
+
+/**
+ * Renders a report as CSV (RFC 4180) for spreadsheets
+ * @param {Object} report - Report with summary and details
+ * @returns {string} - CSV document
+ */
+function render(report) {
+  const rows = report.details.map(entry => [
+    entry.repository || '',
+    entryTarget(entry),
+    entry.status || '',
+    entry.dryRun === undefined ? '' : String(entry.dryRun),
+    entryDetails(entry).join('; ')
+  ]);
+
+  return [COLUMNS, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ * Fields starting with a formula character are prefixed with a quote so
+ * spreadsheets do not evaluate them.
+ * @param {string} value - Field value
+ * @returns {string} - Escaped field
+ */
+function escape(value) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  render,
+  escape
+};
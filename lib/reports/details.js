@@ -0,0 +1,75 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const { formatChange } = require('../utils/diff');
+
+/**
+ * Helpers shared by the report writers, so every format describes a report
+ * entry the same way
+ */
+
+/**
+ * Describes the outcome of a report entry as short human readable lines
+ * @param {Object} entry - Report entry
+ * @returns {string[]} - Error, skip reason, violations, problems or changes of the entry
+ */
+function entryDetails(entry) {
+  if (entry.error) {
+    return [entry.error];
+  }
+
+  const details = [];
+  if (entry.reason) {
+    details.push(entry.reason);
+  }
+  (entry.violations || []).forEach(violation => details.push(violation.message));
+  (entry.problems || []).forEach(problem => details.push(problem));
+  (entry.changes || []).forEach(change => details.push(typeof change === 'string' ? change : formatChange(change)));
+  (entry.unmapped || []).forEach(item => details.push(`Not migrated: ${item.setting} (${item.reason})`));
+  return details;
+}
+
+/**
+ * Names the subject of a report entry: its branch, ruleset or rule
+ * @param {Object} entry - Report entry
+ * @returns {string} - Branch, ruleset name or empty string
+ */
+function entryTarget(entry) {
+  return entry.branch || entry.ruleset || '';
+}
+
+/**
+ * Groups report entries by repository, keeping the order of first appearance
+ * @param {Array<Object>} details - Report entries
+ * @returns {Map<string, Array<Object>>} - Entries by repository
+ */
+function groupByRepository(details) {
+  const groups = new Map();
+  details.forEach(entry => {
+    const repository = entry.repository || '(organization)';
+    groups.set(repository, [...(groups.get(repository) || []), entry]);
+  });
+  return groups;
+}
+
+module.exports = {
+  entryDetails,
+  entryTarget,
+  groupByRepository
+};
@@ -0,0 +1,123 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const { entryDetails, entryTarget, groupByRepository } = require('./details');
+
+// Styles and filter script embedded in the page so it works as a single file
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+  th, td { border: 1px solid #d0d7de; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  .filters { display: flex; gap: 1rem; margin: 1rem 0; }
+  .status { font-weight: 600; }
+  .status-error, .status-violation { color: #cf222e; }
+  .status-updated, .status-migrated, .status-compliant, .status-ok { color: #1a7f37; }
+  .status-simulated { color: #9a6700; }
+  ul { margin: 0; padding-left: 1.2rem; }
+  [hidden] { display: none; }
+`;
+const SCRIPT = `
+  const statusFilter = document.getElementById('status-filter');
+  const textFilter = document.getElementById('text-filter');
+  function applyFilters() {
+    const status = statusFilter.value;
+    const text = textFilter.value.toLowerCase();
+    document.querySelectorAll('section.repository').forEach(section => {
+      let visible = 0;
+      section.querySelectorAll('tbody tr').forEach(row => {
+        const shown = (!status || row.dataset.status === status) &&
+          (!text || row.textContent.toLowerCase().includes(text) || section.dataset.repository.toLowerCase().includes(text));
+        row.hidden = !shown;
+        visible += shown ? 1 : 0;
+      });
+      section.hidden = visible === 0;
+    });
+  }
+  statusFilter.addEventListener('change', applyFilters);
+  textFilter.addEventListener('input', applyFilters);
+`;
+
+/**
+ * Renders a report as a standalone HTML page with a section per repository
+ * and filters by status and text
+ * @param {Object} report - Report with summary and details
+ * @returns {string} - HTML document
+ */
+function render(report) {
+  const { summary } = report;
+  const title = `Branch protection report: ${report.command} on ${report.owner}`;
+  const statuses = [...new Set(report.details.map(entry => entry.status).filter(Boolean))].sort();
+
+  const sections = [...groupByRepository(report.details)].map(([repository, entries]) => `
+  <section class="repository" data-repository="${escape(repository)}">
+    <h2>${escape(repository)}</h2>
+    <table>
+      <thead><tr><th>Target</th><th>Status</th><th>Details</th></tr></thead>
+      <tbody>${entries.map(entry => `
+        <tr data-status="${escape(entry.status || '')}">
+          <td>${escape(entryTarget(entry))}</td>
+          <td class="status status-${escape(entry.status || '')}">${escape(entry.status || '')}</td>
+          <td><ul>${entryDetails(entry).map(detail => `<li>${escape(detail)}</li>`).join('')}</ul></td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(title)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <h1>${escape(title)}</h1>
+  <p>Generated ${escape(report.generated)}${report.dryRun ? ' (dry run)' : ''}${summary.interrupted ? ', <strong>interrupted</strong>' : ''}</p>
+  <table>
+    <thead><tr><th>Repositories</th><th>Processed</th><th>Succeeded</th><th>Errors</th><th>Skipped</th><th>Violations</th></tr></thead>
+    <tbody><tr><td>${summary.totalRepositories}</td><td>${summary.repositoriesProcessed}</td><td>${summary.repositoriesUpdated}</td><td>${summary.repositoriesWithErrors}</td><td>${summary.repositoriesSkipped}</td><td>${summary.violations}</td></tr></tbody>
+  </table>
+  <div class="filters">
+    <label>Status <select id="status-filter"><option value="">All</option>${statuses.map(status => `<option value="${escape(status)}">${escape(status)}</option>`).join('')}</select></label>
+    <label>Search <input id="text-filter" type="search" placeholder="Repository, branch or detail"></label>
+  </div>${sections}
+  <script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  render
+};
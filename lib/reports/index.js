@@ -0,0 +1,87 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const path = require('path');
+const csv = require('./csv');
+const markdown = require('./markdown');
+const html = require('./html');
+const sarif = require('./sarif');
+
+// Version of the report model, bumped when fields change incompatibly
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Report writers, each rendering the same report model into one format.
+ * Add a format by registering a module exporting render(report).
+ */
+const WRITERS = {
+  json: { render: report => JSON.stringify(report, null, 2) },
+  csv,
+  markdown,
+  html,
+  sarif
+};
+
+// Formats picked from the report file name when --report-format is not given
+const EXTENSIONS = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.sarif': 'sarif'
+};
+
+/**
+ * Picks the report format for a file
+ * @param {string} file - Report file
+ * @param {string|null} [format] - Format requested explicitly
+ * @returns {string} - Report format, json when the extension is not recognized
+ */
+function reportFormatFor(file, format = null) {
+  if (format) {
+    return format;
+  }
+  if (/\.sarif\.json$/i.test(file)) {
+    return 'sarif';
+  }
+  return EXTENSIONS[path.extname(file).toLowerCase()] || 'json';
+}
+
+/**
+ * Renders a report in the given format
+ * @param {Object} report - Report with metadata, summary and details
+ * @param {string} format - Report format
+ * @returns {string} - Rendered report
+ */
+function renderReport(report, format) {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unknown report format "${format}" (expected one of ${Object.keys(WRITERS).join(', ')})`);
+  }
+  return writer.render(report);
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  REPORT_FORMATS: Object.keys(WRITERS),
+  reportFormatFor,
+  renderReport
+};
@@ -0,0 +1,179 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escape } = require('./csv');
+const { SNAPSHOT_VERSION } = require('../utils/snapshot');
+
+// Version of the inventory format, bumped when fields change incompatibly
+const INVENTORY_SCHEMA_VERSION = 1;
+
+// Boolean settings flattened into CSV columns
+const BOOLEAN_SETTINGS = [
+  'enforce_admins',
+  'required_linear_history',
+  'allow_force_pushes',
+  'allow_deletions',
+  'block_creations',
+  'required_conversation_resolution',
+  'lock_branch',
+  'allow_fork_syncing',
+  'required_signatures'
+];
+
+// Pull request review settings flattened into CSV columns
+const REVIEW_SETTINGS = [
+  'required_approving_review_count',
+  'dismiss_stale_reviews',
+  'require_code_owner_reviews',
+  'require_last_push_approval'
+];
+
+/**
+ * Builds the protection inventory of an owner from the entries of an export run
+ * @param {string} owner - Organization or user login
+ * @param {Array<Object>} entries - Report entries of the export command
+ * @param {object} [run] - Run state
+ * @param {boolean} [run.complete] - Whether every repository was exported
+ * @returns {Object} - Inventory with one entry per protected branch and the errors met
+ */
+function createInventory(owner, entries, { complete = true } = {}) {
+  const branches = entries
+    .filter(entry => entry.status === 'exported')
+    .map(({ status, ...entry }) => entry)
+    .sort((a, b) => a.repository.localeCompare(b.repository) || a.branch.localeCompare(b.branch));
+
+  return {
+    schemaVersion: INVENTORY_SCHEMA_VERSION,
+    generated: new Date().toISOString(),
+    owner,
+    complete,
+    repositories: new Set(branches.map(entry => entry.repository)).size,
+    branches,
+    errors: entries
+      .filter(entry => entry.status === 'error')
+      .map(({ repository, branch, error }) => ({ repository, branch: branch || null, error }))
+  };
+}
+
+/**
+ * Reads an inventory written by the export command, or a backup snapshot, as
+ * protection per branch. Snapshots hold protection as returned by the GET
+ * endpoint; it is converted with toUpdateRequest so both compare alike. A
+ * snapshot only holds the branches its run targeted, so it is never complete.
+ * @param {string} file - Inventory or snapshot file
+ * @param {Function} toUpdateRequest - Converts GET shaped protection to the update request shape
+ * @returns {{file: string, kind: string, owner: string, taken: string, complete: boolean,
+ *   errors: Array<Object>, branches: Map<string, Object>}} - Repository, branch and protection
+ *   (null when unprotected) keyed by "repository/branch", and the repositories or branches that failed
+ */
+function readInventory(file, toUpdateRequest) {
+  if (inventoryFormatFor(file) === 'csv') {
+    throw new Error(`${file}: CSV inventories cannot be compared, export as JSON`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const branches = new Map();
+  const add = (repository, branch, protection) =>
+    branches.set(`${repository}/${branch}`, { repository, branch, protection });
+
+  if (data.schemaVersion === INVENTORY_SCHEMA_VERSION && Array.isArray(data.branches) && data.owner) {
+    data.branches.forEach(entry => add(entry.repository, entry.branch, entry.protection));
+    return {
+      file,
+      kind: 'inventory',
+      owner: data.owner,
+      taken: data.generated,
+      complete: data.complete !== false,
+      errors: data.errors || [],
+      branches
+    };
+  }
+  if (data.version === SNAPSHOT_VERSION && Array.isArray(data.entries) && data.owner) {
+    data.entries.forEach(entry => add(entry.repository, entry.branch,
+      entry.protection ? toUpdateRequest(entry.protection) : null));
+    return { file, kind: 'snapshot', owner: data.owner, taken: data.created, complete: false, errors: [], branches };
+  }
+  throw new Error(`${file} is neither an inventory (version ${INVENTORY_SCHEMA_VERSION}) nor a backup snapshot (version ${SNAPSHOT_VERSION})`);
+}
+
+/**
+ * Picks the inventory format for a file
+ * @param {string} file - Inventory file
+ * @param {string|null} [format] - Format requested explicitly
+ * @returns {string} - json or csv
+ */
+function inventoryFormatFor(file, format = null) {
+  return format || (path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+}
+
+/**
+ * Renders an inventory as JSON, or as CSV with one row per branch
+ * @param {Object} inventory - Inventory from createInventory
+ * @param {string} format - json or csv
+ * @returns {string} - Rendered inventory
+ */
+function renderInventory(inventory, format) {
+  if (format !== 'csv') {
+    return JSON.stringify(inventory, null, 2);
+  }
+
+  const columns = [
+    'repository', 'branch', 'default_branch', 'classic_protection',
+    ...BOOLEAN_SETTINGS,
+    'strict', 'required_checks',
+    'pull_request_reviews', ...REVIEW_SETTINGS,
+    'restricted_users', 'restricted_teams', 'restricted_apps',
+    'rulesets', 'ruleset_rules'
+  ];
+  const rows = inventory.branches.map(entry => {
+    const protection = entry.protection || {};
+    const checks = protection.required_status_checks;
+    const reviews = protection.required_pull_request_reviews;
+    const restrictions = protection.restrictions;
+    const rules = entry.rulesets || [];
+    return [
+      entry.repository,
+      entry.branch,
+      entry.isDefaultBranch,
+      Boolean(entry.protection),
+      ...BOOLEAN_SETTINGS.map(setting => protection[setting] ?? ''),
+      checks ? checks.strict : '',
+      checks ? checks.checks.map(check => (check.app_id === undefined ? check.context : `${check.context}:${check.app_id}`)).join('; ') : '',
+      Boolean(reviews),
+      ...REVIEW_SETTINGS.map(setting => reviews?.[setting] ?? ''),
+      restrictions ? restrictions.users.join('; ') : '',
+      restrictions ? restrictions.teams.join('; ') : '',
+      restrictions ? restrictions.apps.join('; ') : '',
+      [...new Set(rules.map(rule => rule.ruleset_id))].join('; '),
+      rules.map(rule => rule.type).join('; ')
+    ];
+  });
+
+  return [columns, ...rows].map(row => row.map(value => escape(String(value))).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  INVENTORY_SCHEMA_VERSION,
+  createInventory,
+  readInventory,
+  inventoryFormatFor,
+  renderInventory
+};
@@ -0,0 +1,233 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const { diffObjects, formatChange } = require('../utils/diff');
+const { groupByRepository } = require('./details');
+
+// Settings summarized separately from the generic setting changes
+const SUMMARIZED_SETTINGS = [
+  'required_status_checks.checks',
+  'required_pull_request_reviews.required_approving_review_count'
+];
+
+/**
+ * Compares two inventories read with readInventory. A branch missing from one
+ * of them counts as unprotected there, but only when both are complete
+ * inventories; otherwise only branches present in both are compared. Branches
+ * of repositories that failed to export on either side are not compared.
+ * @param {Object} before - Older inventory
+ * @param {Object} after - Newer inventory
+ * @returns {Object} - Changes per branch, sorted by repository and branch, with a summary,
+ *   the branches left out and warnings about them
+ */
+function compareInventories(before, after) {
+  const failed = failedBranches([...before.errors, ...after.errors]);
+  const allKeys = [...new Set([...before.branches.keys(), ...after.branches.keys()])];
+  const bothComplete = before.complete && after.complete;
+  const unknown = [];
+  const keys = [];
+
+  for (const key of allKeys) {
+    const { repository, branch } = before.branches.get(key) || after.branches.get(key);
+    if (failed(repository, branch)) {
+      unknown.push({ repository, branch, reason: 'failed to export' });
+    } else if (!bothComplete && !(before.branches.has(key) && after.branches.has(key))) {
+      unknown.push({ repository, branch, reason: `not in ${before.branches.has(key) ? after.file : before.file}` });
+    } else {
+      keys.push(key);
+    }
+  }
+
+  const warnings = [];
+  if (!bothComplete) {
+    const partial = [before, after].filter(inventory => !inventory.complete)
+      .map(inventory => `${inventory.file} (${inventory.kind === 'snapshot' ? 'snapshot' : 'incomplete inventory'})`);
+    warnings.push(`Only branches present in both files are compared, ${partial.join(' and ')} may not hold every branch`);
+  }
+  if (unknown.length) {
+    const listed = unknown.slice(0, 10).map(entry => `${entry.repository}/${entry.branch} (${entry.reason})`);
+    const more = unknown.length > listed.length ? ` and ${unknown.length - listed.length} more` : '';
+    warnings.push(`${unknown.length} branches were left out of the comparison: ${listed.join(', ')}${more}`);
+  }
+
+  const changes = [];
+  let unchanged = 0;
+
+  for (const key of keys) {
+    const { repository, branch } = before.branches.get(key) || after.branches.get(key);
+    const change = compareBranch(before.branches.get(key)?.protection || null, after.branches.get(key)?.protection || null);
+    if (change) {
+      changes.push({ repository, branch, ...change });
+    } else {
+      unchanged++;
+    }
+  }
+  changes.sort((a, b) => a.repository.localeCompare(b.repository) || a.branch.localeCompare(b.branch));
+
+  return {
+    owner: after.owner,
+    from: { file: before.file, taken: before.taken },
+    to: { file: after.file, taken: after.taken },
+    summary: {
+      branchesCompared: keys.length,
+      gainedProtection: changes.filter(change => change.change === 'protected').length,
+      lostProtection: changes.filter(change => change.change === 'unprotected').length,
+      changed: changes.filter(change => change.change === 'changed').length,
+      unchanged,
+      unknown: unknown.length
+    },
+    changes,
+    unknown,
+    warnings
+  };
+}
+
+/**
+ * Builds a lookup of the repositories and branches listed in inventory errors.
+ * An error without a branch covers every branch of its repository.
+ * @param {Array<{repository: string|null, branch: string|null}>} errors - Inventory errors
+ * @returns {Function} - Tells whether a repository and branch failed to export
+ */
+function failedBranches(errors) {
+  const repositories = new Set(errors.filter(error => error.repository && !error.branch).map(error => error.repository));
+  const branches = new Set(errors.filter(error => error.repository && error.branch).map(error => `${error.repository}/${error.branch}`));
+  return (repository, branch) => repositories.has(repository) || branches.has(`${repository}/${branch}`);
+}
+
+/**
+ * Compares the protection of one branch at two points in time
+ * @param {Object|null} before - Older protection (update request shape), null if unprotected
+ * @param {Object|null} after - Newer protection, null if unprotected
+ * @returns {Object|null} - Kind of change, checks added and removed, review count change and
+ *   other setting changes; null when nothing changed
+ */
+function compareBranch(before, after) {
+  if (!before && !after) {
+    return null;
+  }
+
+  const beforeChecks = checkNames(before);
+  const afterChecks = checkNames(after);
+  const beforeReviews = reviewCount(before);
+  const afterReviews = reviewCount(after);
+  const settings = before && after
+    ? diffObjects(before, after).filter(change => !SUMMARIZED_SETTINGS.includes(change.path))
+    : [];
+
+  const change = {
+    change: !before ? 'protected' : !after ? 'unprotected' : 'changed',
+    checksAdded: afterChecks.filter(check => !beforeChecks.includes(check)),
+    checksRemoved: beforeChecks.filter(check => !afterChecks.includes(check)),
+    reviewCount: beforeReviews === afterReviews ? null : { before: beforeReviews, after: afterReviews },
+    settings
+  };
+
+  const modified = change.checksAdded.length || change.checksRemoved.length || change.reviewCount || settings.length;
+  return change.change === 'changed' && !modified ? null : change;
+}
+
+/**
+ * Lists the required checks of a protection as "context" or "context:app_id"
+ * @param {Object|null} protection - Protection in update request shape
+ * @returns {string[]} - Check names
+ */
+function checkNames(protection) {
+  return (protection?.required_status_checks?.checks || [])
+    .map(check => (check.app_id === undefined ? check.context : `${check.context}:${check.app_id}`));
+}
+
+/**
+ * Reads the required approving review count of a protection
+ * @param {Object|null} protection - Protection in update request shape
+ * @returns {number|null} - Review count, null when pull request reviews are not required
+ */
+function reviewCount(protection) {
+  const reviews = protection?.required_pull_request_reviews;
+  return reviews ? reviews.required_approving_review_count ?? 0 : null;
+}
+
+/**
+ * Describes the change of a branch as human readable lines
+ * @param {Object} change - Branch change from compareInventories
+ * @returns {string[]} - Description lines
+ */
+function describeChange(change) {
+  const lines = [];
+  if (change.change === 'protected') {
+    lines.push('🔒 gained protection');
+  } else if (change.change === 'unprotected') {
+    lines.push('🔓 lost protection');
+  }
+  change.checksAdded.forEach(check => lines.push(`+ required check ${check}`));
+  change.checksRemoved.forEach(check => lines.push(`- required check ${check}`));
+  if (change.reviewCount) {
+    const count = value => (value === null ? 'not required' : value);
+    lines.push(`~ required approving reviews: ${count(change.reviewCount.before)} → ${count(change.reviewCount.after)}`);
+  }
+  change.settings.forEach(setting => lines.push(formatChange(setting)));
+  return lines;
+}
+
+/**
+ * Renders an inventory comparison as text, JSON or Markdown
+ * @param {Object} diff - Comparison from compareInventories
+ * @param {string} format - text, json or markdown
+ * @returns {string} - Rendered comparison
+ */
+function renderInventoryDiff(diff, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(diff, null, 2)}\n`;
+  }
+
+  const { summary } = diff;
+  const title = `Protection changes for ${diff.owner}: ${diff.from.taken} → ${diff.to.taken}`;
+  const overview = `${diff.changes.length} branches changed: ${summary.gainedProtection} gained protection, ` +
+    `${summary.lostProtection} lost protection, ${summary.changed} changed (${summary.unchanged} unchanged` +
+    `${summary.unknown ? `, ${summary.unknown} not compared` : ''})`;
+  const groups = [...groupByRepository(diff.changes)];
+
+  if (format === 'markdown') {
+    const lines = [`# ${title}`, '', `Compared \`${diff.from.file}\` with \`${diff.to.file}\`.`, '', overview];
+    diff.warnings.forEach(warning => lines.push('', `> ⚠️ ${warning}`));
+    for (const [repository, changes] of groups) {
+      lines.push('', `## ${repository}`);
+      changes.forEach(change => {
+        lines.push('', `### ${change.branch}`, '');
+        describeChange(change).forEach(line => lines.push(`- ${line.replace(/^([+~-]) /, '`$1` ')}`));
+      });
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  const lines = [title, `(${diff.from.file} → ${diff.to.file})`, overview];
+  diff.warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+  for (const [repository, changes] of groups) {
+    lines.push('', repository);
+    changes.forEach(change => {
+      lines.push(`  ${change.branch}`);
+      describeChange(change).forEach(line => lines.push(`    ${line}`));
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  compareInventories,
+  renderInventoryDiff
+};
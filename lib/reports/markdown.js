@@ -0,0 +1,80 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const { entryDetails, entryTarget, groupByRepository } = require('./details');
+
+// Status markers used in the Markdown tables
+const STATUS_ICONS = {
+  updated: '✅',
+  migrated: '✅',
+  created: '✅',
+  deleted: '✅',
+  restored: '✅',
+  ok: '✅',
+  compliant: '✅',
+  simulated: '📝',
+  unchanged: '✔️',
+  skipped: '⏭️',
+  violation: '🚨',
+  error: '❌'
+};
+
+/**
+ * Renders a report as Markdown, suitable for pull request or issue comments
+ * @param {Object} report - Report with summary and details
+ * @returns {string} - Markdown document
+ */
+function render(report) {
+  const { summary } = report;
+  const lines = [
+    `# Branch protection report: ${report.command} on ${report.owner}`,
+    '',
+    `Generated ${report.generated}${report.dryRun ? ' (dry run)' : ''}${summary.interrupted ? ', **interrupted**' : ''}`,
+    '',
+    '| Repositories | Processed | Succeeded | Errors | Skipped | Violations |',
+    '| ---: | ---: | ---: | ---: | ---: | ---: |',
+    `| ${summary.totalRepositories} | ${summary.repositoriesProcessed} | ${summary.repositoriesUpdated} | ${summary.repositoriesWithErrors} | ${summary.repositoriesSkipped} | ${summary.violations} |`
+  ];
+
+  for (const [repository, entries] of groupByRepository(report.details)) {
+    lines.push('', `## ${escape(repository)}`, '', '| Target | Status | Details |', '| --- | --- | --- |');
+    entries.forEach(entry => {
+      const status = `${STATUS_ICONS[entry.status] || ''} ${entry.status || ''}`.trim();
+      const details = entryDetails(entry).map(escape).join('<br>');
+      lines.push(`| ${escape(entryTarget(entry)) || '–'} | ${status} | ${details || '–'} |`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escapes text for use in a Markdown table cell
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escape(value) {
+  return String(value)
+    .replace(/[\\`*_[\]<>|]/g, character => `\\${character}`)
+    .replace(/\r?\n/g, ' ');
+}
+
+module.exports = {
+  render
+};
@@ -0,0 +1,124 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const { version } = require('../../package.json');
+
+// SARIF format version and schema
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/khulnasoft/github-branch-protection';
+
+// Repository-relative path findings are attached to; code scanning needs a file
+// location, and branch protection lives in repository settings, not in a file
+const SETTINGS_URI = '.github';
+
+// Rule reported for branches that could not be checked
+const ERROR_RULE_ID = 'branch-protection/error';
+
+/**
+ * Renders a report as SARIF so audit violations can be uploaded to code scanning.
+ * Each violation becomes a result of a rule named after the violated setting;
+ * entries that failed become warnings. Findings point at the .github directory,
+ * as branch protection has no source file, and name the repository and branch
+ * as logical locations.
+ * @param {Object} report - Report with summary and details
+ * @returns {string} - SARIF log as JSON
+ */
+function render(report) {
+  const rules = new Map();
+  const results = [];
+  const addRule = (id, description) => {
+    if (!rules.has(id)) {
+      rules.set(id, { id, shortDescription: { text: description } });
+    }
+    return [...rules.keys()].indexOf(id);
+  };
+
+  for (const entry of report.details) {
+    const target = entry.branch ? `${entry.repository}/${entry.branch}` : entry.repository || report.owner;
+
+    (entry.violations || []).forEach(violation => {
+      const ruleId = `branch-protection/${violation.setting}`;
+      results.push({
+        ruleId,
+        ruleIndex: addRule(ruleId, `Branch protection setting ${violation.setting} does not match the baseline`),
+        level: 'error',
+        message: { text: `${target}: ${violation.message}` },
+        locations: [location(report.owner, entry)],
+        partialFingerprints: { branchProtectionSetting: `${target}:${violation.setting}` },
+        properties: { expected: violation.expected, actual: violation.actual, rule: entry.rule }
+      });
+    });
+
+    if (entry.status === 'error') {
+      results.push({
+        ruleId: ERROR_RULE_ID,
+        ruleIndex: addRule(ERROR_RULE_ID, 'Branch protection could not be checked'),
+        level: 'warning',
+        message: { text: `${target}: ${entry.error}` },
+        locations: [location(report.owner, entry)],
+        partialFingerprints: { branchProtectionSetting: `${target}:error` }
+      });
+    }
+  }
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: 'github-branch-protection',
+          version,
+          informationUri: INFORMATION_URI,
+          rules: [...rules.values()]
+        }
+      },
+      automationDetails: { id: `${report.command}/${report.owner}/` },
+      invocations: [{ executionSuccessful: !report.summary.interrupted, endTimeUtc: report.generated }],
+      results
+    }]
+  };
+  return JSON.stringify(sarif, null, 2);
+}
+
+/**
+ * Locates a finding at the repository settings, naming its repository and branch
+ * @param {string} owner - Repository owner
+ * @param {Object} entry - Report entry
+ * @returns {Object} - SARIF location
+ */
+function location(owner, entry) {
+  const repository = entry.repository ? `${owner}/${entry.repository}` : owner;
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: SETTINGS_URI, uriBaseId: '%SRCROOT%' },
+      region: { startLine: 1 }
+    },
+    logicalLocations: [{
+      name: entry.branch || repository,
+      fullyQualifiedName: entry.branch ? `${repository}@${entry.branch}` : repository,
+      kind: entry.branch ? 'branch' : 'repository'
+    }]
+  };
+}
+
+module.exports = {
+  render
+};
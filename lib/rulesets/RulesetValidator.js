@@ -0,0 +1,195 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const fs = require('fs');
+const Ajv = require('ajv');
+const schema = require('./ruleset.schema.json');
+
+// Fields that describe where an exported ruleset came from; the API rejects them on import
+const SOURCE_FIELDS = ['source', 'source_type'];
+
+// Keywords accepted in ref_name conditions besides full ref patterns
+const REF_KEYWORDS = ['~DEFAULT_BRANCH', '~ALL'];
+
+// Rule types whose parameters hold a pattern matched with an operator
+const PATTERN_RULES = [
+  'commit_message_pattern',
+  'commit_author_email_pattern',
+  'committer_email_pattern',
+  'branch_name_pattern',
+  'tag_name_pattern'
+];
+
+/**
+ * Validates ruleset JSON files against the bundled schema and the checks the
+ * schema cannot express (regex compilation, ref prefixes, duplicate rules,
+ * source fields). Errors carry the file and a JSON path such as
+ * `$.rules[3].parameters.pattern`.
+ */
+class RulesetValidator {
+  /**
+   * @param {object} [options] - Validator options
+   * @param {boolean} [options.allowSourceFields] - Accept `source` and `source_type`,
+   *   for callers that strip them before import
+   */
+  constructor({ allowSourceFields = false } = {}) {
+    this.allowSourceFields = allowSourceFields;
+    this.validateSchema = new Ajv({ allErrors: true }).compile(schema);
+  }
+
+  /**
+   * Validates a ruleset file
+   * @param {string} file - Path to the ruleset JSON file
+   * @returns {{file: string, valid: boolean, errors: Array<{file: string, path: string, message: string}>}} Result
+   */
+  validateFile(file) {
+    let ruleset;
+    try {
+      ruleset = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { file, valid: false, errors: [{ file, path: '$', message: `Invalid JSON: ${error.message}` }] };
+    }
+
+    const errors = this.validateRuleset(ruleset).map(error => ({ file, ...error }));
+    return { file, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validates a parsed ruleset
+   * @param {Object} ruleset - Ruleset definition
+   * @returns {Array<{path: string, message: string}>} Errors, empty if the ruleset is valid
+   */
+  validateRuleset(ruleset) {
+    const errors = [];
+
+    if (!this.validateSchema(ruleset)) {
+      for (const error of this.validateSchema.errors) {
+        // `if` failures only repeat the errors of the matching `then` branch
+        if (error.keyword === 'if') continue;
+        errors.push(this._formatSchemaError(error, ruleset));
+      }
+    }
+
+    if (ruleset && typeof ruleset === 'object' && !Array.isArray(ruleset)) {
+      errors.push(...this._checkSemantics(ruleset));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks what the schema cannot express
+   * @param {Object} ruleset - Ruleset definition
+   * @returns {Array<{path: string, message: string}>} Errors
+   */
+  _checkSemantics(ruleset) {
+    const errors = [];
+
+    if (!this.allowSourceFields) {
+      for (const field of SOURCE_FIELDS) {
+        if (field in ruleset) {
+          errors.push({ path: `$.${field}`, message: `"${field}" is set by GitHub on export and must be removed before import` });
+        }
+      }
+    }
+
+    const refConditions = ruleset.conditions?.ref_name;
+    const refPrefix = { branch: 'refs/heads/', tag: 'refs/tags/' }[ruleset.target];
+    for (const list of ['include', 'exclude']) {
+      (Array.isArray(refConditions?.[list]) ? refConditions[list] : []).forEach((ref, index) => {
+        if (typeof ref !== 'string') return;
+        if (ref.startsWith('~')) {
+          if (!REF_KEYWORDS.includes(ref)) {
+            errors.push({ path: `$.conditions.ref_name.${list}[${index}]`, message: `unknown ref keyword, expected one of: ${REF_KEYWORDS.join(', ')}` });
+          }
+        } else if (ruleset.target === 'push') {
+          errors.push({ path: `$.conditions.ref_name.${list}[${index}]`, message: 'push rulesets cannot have ref_name conditions' });
+        } else if (refPrefix && !ref.startsWith(refPrefix)) {
+          errors.push({ path: `$.conditions.ref_name.${list}[${index}]`, message: `${ruleset.target} rulesets must match refs starting with ${refPrefix}` });
+        }
+      });
+    }
+    if (ruleset.target === 'tag' && refConditions?.include?.includes('~DEFAULT_BRANCH')) {
+      errors.push({ path: '$.conditions.ref_name.include', message: 'tag rulesets cannot target ~DEFAULT_BRANCH' });
+    }
+
+    const seen = new Set();
+    (Array.isArray(ruleset.rules) ? ruleset.rules : []).forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object') return;
+
+      if (seen.has(rule.type)) {
+        errors.push({ path: `$.rules[${index}].type`, message: `duplicate "${rule.type}" rule` });
+      }
+      seen.add(rule.type);
+
+      const parameters = rule.parameters;
+      if (PATTERN_RULES.includes(rule.type) && parameters?.operator === 'regex' && typeof parameters.pattern === 'string') {
+        try {
+          new RegExp(parameters.pattern);
+        } catch (error) {
+          errors.push({ path: `$.rules[${index}].parameters.pattern`, message: `pattern does not compile: ${error.message}` });
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Converts an Ajv error into a path and a readable message
+   * @param {Object} error - Ajv error object
+   * @param {Object} ruleset - Ruleset definition, used to name rule types
+   * @returns {{path: string, message: string}} Formatted error
+   */
+  _formatSchemaError(error, ruleset) {
+    let path = RulesetValidator.toJsonPath(error.instancePath);
+    let message = error.message;
+
+    if (error.keyword === 'additionalProperties') {
+      path = `${path}.${error.params.additionalProperty}`;
+      message = 'unknown property';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'not') {
+      const rule = error.instancePath.split('/').slice(1).reduce((value, key) => value?.[key], ruleset);
+      path = `${path}.parameters`;
+      message = `"${rule?.type}" rules do not take parameters`;
+    } else if (error.keyword === 'required') {
+      path = `${path}.${error.params.missingProperty}`;
+      message = 'is required';
+    }
+
+    return { path, message };
+  }
+
+  /**
+   * Converts a JSON pointer (/rules/3/parameters) to a JSON path ($.rules[3].parameters)
+   * @param {string} pointer - JSON pointer
+   * @returns {string} JSON path
+   */
+  static toJsonPath(pointer) {
+    return pointer
+      .split('/')
+      .slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((jsonPath, segment) => (/^\d+$/.test(segment) ? `${jsonPath}[${segment}]` : `${jsonPath}.${segment}`), '$');
+  }
+}
+
+module.exports = RulesetValidator;
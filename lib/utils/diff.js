@@ -0,0 +1,206 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/**
+ * Utilities for comparing branch protection settings
+ */
+
+/**
+ * Lists the leaf-level differences between two objects.
+ * Arrays are compared as a whole and reported as a single change.
+ * @param {Object} before - Original object
+ * @param {Object} after - Updated object
+ * @param {string} [prefix] - Path of the objects being compared
+ * @returns {Array<{path: string, before: any, after: any}>} - Changes, in key order
+ */
+function diffObjects(before, after, prefix = '') {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffObjects(oldValue, newValue, path));
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ path, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Formats a change as a single human readable line
+ * @param {{path: string, before: any, after: any}} change - Change from diffObjects
+ * @returns {string} - Formatted change
+ */
+function formatChange(change) {
+  if (change.before === undefined) {
+    return `+ ${change.path}: ${formatValue(change.after)}`;
+  }
+  if (change.after === undefined) {
+    return `- ${change.path}: ${formatValue(change.before)}`;
+  }
+  return `~ ${change.path}: ${formatValue(change.before)} → ${formatValue(change.after)}`;
+}
+
+/**
+ * Formats the difference between two values as a unified diff of their JSON
+ * representation. A null or undefined value is treated as an empty file.
+ * @param {any} before - Original value
+ * @param {any} after - Updated value
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.fromLabel] - Label of the original value
+ * @param {string} [options.toLabel] - Label of the updated value
+ * @param {number} [options.context] - Unchanged lines shown around each change
+ * @returns {string[]} - Diff lines, empty when the values are identical
+ */
+function formatUnifiedDiff(before, after, { fromLabel = 'before', toLabel = 'after', context = 3 } = {}) {
+  const toLines = value => (value === null || value === undefined ? [] : JSON.stringify(value, null, 2).split('\n'));
+  const operations = diffLines(toLines(before), toLines(after));
+  if (!operations.some(operation => operation.type !== ' ')) {
+    return [];
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let start = 0;
+  while (start < operations.length) {
+    const firstChange = operations.findIndex((operation, index) => index >= start && operation.type !== ' ');
+    if (firstChange === -1) {
+      break;
+    }
+
+    // Extend the hunk while the next change is close enough to share context
+    let end = firstChange;
+    let unchanged = 0;
+    for (let index = firstChange; index < operations.length && unchanged <= context * 2; index++) {
+      if (operations[index].type === ' ') {
+        unchanged++;
+      } else {
+        unchanged = 0;
+        end = index;
+      }
+    }
+
+    const hunk = operations.slice(Math.max(firstChange - context, start), Math.min(end + context + 1, operations.length));
+    const oldLines = hunk.filter(operation => operation.type !== '+');
+    const newLines = hunk.filter(operation => operation.type !== '-');
+    // An empty side is numbered by the line it follows, as in diff(1)
+    const range = (hunkLines, key) => (hunkLines.length
+      ? `${hunkLines[0][key] + 1},${hunkLines.length}`
+      : `${hunk[0][key]},0`);
+    lines.push(`@@ -${range(oldLines, 'oldIndex')} +${range(newLines, 'newIndex')} @@`);
+    hunk.forEach(operation => lines.push(`${operation.type}${operation.text}`));
+    start = Math.min(end + context + 1, operations.length);
+  }
+
+  return lines;
+}
+
+/**
+ * Computes a line-level diff based on the longest common subsequence
+ * @param {string[]} oldLines - Original lines
+ * @param {string[]} newLines - Updated lines
+ * @returns {Array<{type: string, text: string, oldIndex: number, newIndex: number}>} - Kept (' '),
+ *   removed ('-') and added ('+') lines with their position in each side
+ */
+function diffLines(oldLines, newLines) {
+  const common = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      common[i][j] = oldLines[i] === newLines[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      operations.push({ type: ' ', text: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (i < oldLines.length && (j === newLines.length || common[i + 1][j] >= common[i][j + 1])) {
+      operations.push({ type: '-', text: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      operations.push({ type: '+', text: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Formats a setting value for display
+ * @param {any} value - Setting value
+ * @returns {string} - Compact representation
+ */
+function formatValue(value) {
+  return value === undefined ? 'unset' : JSON.stringify(value);
+}
+
+/**
+ * Normalizes a value for order-insensitive comparison (sorted keys and lists)
+ * @param {any} value - Value to normalize
+ * @returns {any} - Normalized value
+ */
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map(item => normalize(item))
+      .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      normalized[key] = normalize(value[key]);
+      return normalized;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Checks whether two values are equal, ignoring key and list order
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - true if the values are equivalent
+ */
+function isEquivalent(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Checks whether a value is a plain (non-array, non-null) object
+ * @param {any} value - Value to check
+ * @returns {boolean} - true for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  diffObjects,
+  formatChange,
+  formatUnifiedDiff,
+  formatValue,
+  normalize,
+  isEquivalent
+};
@@ -0,0 +1,74 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/**
+ * Minimal glob matching for branch names.
+ *
+ * `*` matches any characters except `/`, `**` matches anything including `/`
+ * and `?` matches a single character other than `/`, so `release/*` matches
+ * `release/1.0` but not `release/1.0/hotfix`.
+ */
+
+/**
+ * Checks whether a pattern contains glob characters
+ * @param {string} pattern - Branch name or glob pattern
+ * @returns {boolean} - true if the pattern is a glob
+ */
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Converts a glob pattern to an anchored regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression matching the whole name
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a name matches a branch name or glob pattern
+ * @param {string} name - Branch name
+ * @param {string} pattern - Branch name or glob pattern
+ * @returns {boolean} - true if the name matches
+ */
+function matchesGlob(name, pattern) {
+  return isGlob(pattern) ? globToRegExp(pattern).test(name) : name === pattern;
+}
+
+module.exports = {
+  isGlob,
+  globToRegExp,
+  matchesGlob
+};
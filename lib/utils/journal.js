@@ -0,0 +1,98 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Version of the journal file format
+const JOURNAL_VERSION = 1;
+
+/**
+ * Checkpoint journals recording the outcome of every repository as a run
+ * progresses, so an interrupted or crashed run can be resumed.
+ *
+ * A journal is a JSON Lines file: a header line describing the run, then one
+ * line per finished repository with its report entries. Lines are appended
+ * synchronously, so everything recorded survives a crash.
+ */
+
+/**
+ * Creates a journal file and writes its header
+ * @param {string} directory - Directory to write the journal to
+ * @param {Object} run - Run description ({ command, owner, options })
+ * @returns {string} - Path of the journal file
+ */
+function createJournal(directory, run) {
+  const started = new Date().toISOString();
+  const file = path.join(directory, `${run.command}-${run.owner}-${started.replace(/[:.]/g, '-')}.jsonl`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ version: JOURNAL_VERSION, started, ...run })}\n`);
+  return file;
+}
+
+/**
+ * Appends the outcome of a repository to a journal
+ * @param {string} file - Journal file
+ * @param {{repository: string, success: boolean, entries: Array}} outcome - Repository outcome and its report entries
+ */
+function recordOutcome(file, outcome) {
+  fs.appendFileSync(file, `${JSON.stringify({ recorded: new Date().toISOString(), ...outcome })}\n`);
+}
+
+/**
+ * Reads a journal. A repository recorded more than once keeps its latest
+ * outcome, and a truncated last line (from a crash mid-write) is ignored.
+ * @param {string} file - Journal file
+ * @returns {{header: Object, outcomes: Map<string, Object>}} - Run description and outcome by repository
+ */
+function readJournal(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  const parse = (line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      if (index === lines.length - 1) {
+        return null;
+      }
+      throw new Error(`${file}: line ${index + 1} is not valid JSON`);
+    }
+  };
+
+  const header = lines.length ? parse(lines[0], 0) : null;
+  if (!header || header.version !== JOURNAL_VERSION || !header.owner) {
+    throw new Error(`${file} is not a run journal (version ${JOURNAL_VERSION})`);
+  }
+
+  const outcomes = new Map();
+  lines.slice(1).forEach((line, index) => {
+    const outcome = parse(line, index + 1);
+    if (outcome) {
+      outcomes.set(outcome.repository, outcome);
+    }
+  });
+  return { header, outcomes };
+}
+
+module.exports = {
+  JOURNAL_VERSION,
+  createJournal,
+  recordOutcome,
+  readJournal
+};
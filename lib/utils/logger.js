@@ -20,6 +20,32 @@
 const winston = require('winston');
 const { format, transports } = winston;
 
+/**
+ * Removes GitHub tokens and authorization headers from a text
+ * @param {string} text - Text to redact
+ * @returns {string} - Text with secrets replaced by placeholders
+ */
+function redact(text) {
+  return text
+    .replace(/ghp_[a-zA-Z0-9]{36}/g, '[REDACTED_TOKEN]')
+    .replace(/github_pat_[a-zA-Z0-9]{22}_[a-zA-Z0-9]{59}/g, '[REDACTED_TOKEN]')
+    .replace(/ghs_[a-zA-Z0-9]{36}/g, '[REDACTED_TOKEN]')
+    // Legacy tokens accepted for GitHub Enterprise Server
+    .replace(/\b[0-9a-f]{40}\b/g, '[REDACTED_TOKEN]')
+    .replace(/Bearer [a-zA-Z0-9._-]+/g, 'Bearer [REDACTED]')
+    .replace(/Authorization: [a-zA-Z0-9._-]+/g, 'Authorization: [REDACTED]');
+}
+
+// Redacts every string field of a log entry, so no transport writes a token
+const redactSecrets = format(info => {
+  for (const key of Object.keys(info)) {
+    if (typeof info[key] === 'string') {
+      info[key] = redact(info[key]);
+    }
+  }
+  return info;
+});
+
 /**
  * Logger utility module providing different log levels and formatter
  */
@@ -31,20 +57,9 @@ class Logger {
     const customFormats = format.combine(
       format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
       // Redact sensitive information
-      format.printf(info => {
-        let message = info.message;
-        
-        // Sanitize GitHub tokens from logs
-        if (typeof message === 'string') {
-          message = message
-            .replace(/ghp_[a-zA-Z0-9]{36}/g, '[REDACTED_TOKEN]')
-            .replace(/github_pat_[a-zA-Z0-9]{22}_[a-zA-Z0-9]{59}/g, '[REDACTED_TOKEN]')
-            .replace(/Bearer [a-zA-Z0-9._-]+/g, 'Bearer [REDACTED]');
-        }
-        
-        // Format the log message
-        return `${info.timestamp} [${info.level.toUpperCase()}]: ${message}`;
-      })
+      redactSecrets(),
+      // Format the log message
+      format.printf(info => `${info.timestamp} [${info.level.toUpperCase()}]: ${info.message}`)
     );
     
     // Create the winston logger
@@ -77,6 +92,15 @@ class Logger {
     this.logger.level = this.verbose ? 'debug' : 'info';
   }
 
+  /**
+   * Removes GitHub tokens and authorization headers from a text
+   * @param {string} text - Text to redact
+   * @returns {string} - Redacted text
+   */
+  redact(text) {
+    return redact(text);
+  }
+
   /**
    * Log a debug message (only in verbose mode)
    * @param {string} message - Message to log
@@ -88,7 +112,7 @@ class Logger {
       
       // Also log to console if it's a readable message
       if (typeof message === 'string') {
-        console.debug(`\x1b[36m[DEBUG]\x1b[0m ${message}`);
+        console.debug(`\x1b[36m[DEBUG]\x1b[0m ${redact(message)}`);
       }
     }
   }
@@ -103,10 +127,28 @@ class Logger {
     
     // Also log to console for user feedback
     if (typeof message === 'string') {
-      console.log(message);
+      console.log(redact(message));
     }
   }
 
+  /**
+   * Log a unified diff, colored on the console and plain in the log files
+   * @param {string[]} lines - Diff lines as returned by formatUnifiedDiff
+   */
+  diff(lines) {
+    if (!lines.length) {
+      return;
+    }
+    this.logger.info(lines.join('\n'));
+
+    const colors = { '+': '\x1b[32m', '-': '\x1b[31m', '@': '\x1b[36m' };
+    lines.forEach((line, index) => {
+      // The first two lines are the ---/+++ file header
+      const color = index < 2 ? '\x1b[1m' : colors[line[0]];
+      console.log(color ? `${color}${line}\x1b[0m` : line);
+    });
+  }
+
   /**
    * Log a warning message
    * @param {string} message - Message to log
@@ -117,7 +159,7 @@ class Logger {
     
     // Also log to console with yellow color
     if (typeof message === 'string') {
-      console.warn(`\x1b[33m[WARNING]\x1b[0m ${message}`);
+      console.warn(`\x1b[33m[WARNING]\x1b[0m ${redact(message)}`);
     } else {
       console.warn(message);
     }
@@ -143,10 +185,7 @@ class Logger {
       
       // Sanitize any tokens from error message
       if (sanitizedError.message && typeof sanitizedError.message === 'string') {
-        sanitizedError.message = sanitizedError.message
-          .replace(/ghp_[a-zA-Z0-9]{36}/g, '[REDACTED_TOKEN]')
-          .replace(/github_pat_[a-zA-Z0-9]{22}_[a-zA-Z0-9]{59}/g, '[REDACTED_TOKEN]')
-          .replace(/Bearer [a-zA-Z0-9._-]+/g, 'Bearer [REDACTED]');
+        sanitizedError.message = redact(sanitizedError.message);
       }
     }
     
@@ -154,7 +193,7 @@ class Logger {
     
     // Also log to console with red color
     if (typeof message === 'string') {
-      console.error(`\x1b[31m[ERROR]\x1b[0m ${message}`);
+      console.error(`\x1b[31m[ERROR]\x1b[0m ${redact(message)}`);
       if (sanitizedError) {
         console.error(sanitizedError);
       }
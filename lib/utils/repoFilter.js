@@ -0,0 +1,113 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const fs = require('fs');
+
+/**
+ * Repository selection by name, topics, visibility, archived and fork status.
+ *
+ * Works on the objects returned by `GitHubClient.listRepositories`, so no
+ * extra API calls are needed per repository.
+ */
+
+/**
+ * Reads a list of repository names, one per line. Blank lines and lines
+ * starting with `#` are ignored, and an `owner/` prefix is stripped.
+ * @param {string} file - Path to the list
+ * @returns {string[]} - Repository names
+ */
+function readRepositoryList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split('/').pop());
+}
+
+/**
+ * Compiles a list of regular expressions given on the command line
+ * @param {string[]} patterns - Regular expression sources
+ * @param {string} option - Option name used in error messages
+ * @returns {RegExp[]} - Compiled expressions
+ */
+function compilePatterns(patterns, option) {
+  return patterns.map(pattern => {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ${option} pattern "${pattern}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Creates a filter deciding which repositories to process
+ * @param {object} [options] - Filter options
+ * @param {string[]} [options.include] - Name regexes, at least one must match
+ * @param {string[]} [options.exclude] - Name regexes, none may match
+ * @param {string[]} [options.topics] - Topics, at least one must be set on the repository
+ * @param {string} [options.visibility] - Required visibility (public, private or internal)
+ * @param {boolean} [options.skipArchived] - Skip archived repositories
+ * @param {boolean} [options.skipForks] - Skip forks
+ * @param {string[]} [options.names] - Repository names to restrict to
+ * @returns {function(Object): string|null} - Returns the reason a repository is skipped, or null to keep it
+ */
+function createRepositoryFilter({
+  include = [],
+  exclude = [],
+  topics = [],
+  visibility = null,
+  skipArchived = false,
+  skipForks = false,
+  names = null
+} = {}) {
+  const includePatterns = compilePatterns(include, '--include');
+  const excludePatterns = compilePatterns(exclude, '--exclude');
+  const nameSet = names ? new Set(names.map(name => name.toLowerCase())) : null;
+
+  return (repo) => {
+    if (nameSet && !nameSet.has(repo.name.toLowerCase())) {
+      return 'not listed in repositories file';
+    }
+    if (includePatterns.length && !includePatterns.some(pattern => pattern.test(repo.name))) {
+      return 'name does not match --include';
+    }
+    if (excludePatterns.some(pattern => pattern.test(repo.name))) {
+      return 'name matches --exclude';
+    }
+    if (skipArchived && repo.archived) {
+      return 'archived';
+    }
+    if (skipForks && repo.forked) {
+      return 'fork';
+    }
+    if (visibility && repo.visibility !== visibility) {
+      return `visibility is ${repo.visibility}`;
+    }
+    if (topics.length && !topics.some(topic => (repo.topics || []).includes(topic))) {
+      return 'missing topic';
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  readRepositoryList,
+  createRepositoryFilter
+};
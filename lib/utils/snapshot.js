@@ -0,0 +1,82 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Version of the snapshot file format
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Snapshot files recording the full branch protection of a set of branches,
+ * taken before bulk changes so they can be restored.
+ *
+ * Each entry holds the protection exactly as returned by the GET endpoint,
+ * or null for branches that had no protection.
+ */
+
+/**
+ * Creates a snapshot object
+ * @param {string} owner - Repository owner
+ * @param {Array<{repository: string, branch: string, protection: Object|null}>} entries - Protected state per branch
+ * @returns {Object} - Snapshot
+ */
+function createSnapshot(owner, entries) {
+  return {
+    version: SNAPSHOT_VERSION,
+    created: new Date().toISOString(),
+    owner,
+    entries
+  };
+}
+
+/**
+ * Writes a snapshot to a timestamped file
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @param {string} directory - Directory to write the snapshot to
+ * @returns {string} - Path of the written file
+ */
+function writeSnapshot(snapshot, directory) {
+  const timestamp = snapshot.created.replace(/[:.]/g, '-');
+  const file = path.join(directory, `protection-${snapshot.owner}-${timestamp}.json`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+  return file;
+}
+
+/**
+ * Reads and checks a snapshot file
+ * @param {string} file - Snapshot file
+ * @returns {Object} - Snapshot
+ */
+function readSnapshot(file) {
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries) || !snapshot.owner) {
+    throw new Error(`${file} is not a branch protection snapshot (version ${SNAPSHOT_VERSION})`);
+  }
+  return snapshot;
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  writeSnapshot,
+  readSnapshot
+};
@@ -0,0 +1,104 @@
+/**
+ * @license
+ * ISC License
+ * 
+ * Copyright (c) 2023 KhulnaSoft, Ltd
+ * 
+ * Permission to use, copy, modify, and/or distribute this software for any
+ * purpose with or without fee is hereby granted, provided that the above
+ * copyright notice and this permission notice appear in all copies.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+ * WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+ * MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+ * ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+ * WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+ * ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+ * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+/**
+ * Bounded worker pool: keeps up to `concurrency` items in flight and starts
+ * the next item as soon as one finishes, so a slow item never holds back the
+ * others.
+ */
+
+/**
+ * Runs a worker over every item with bounded concurrency
+ * @param {Array} items - Items to process
+ * @param {function(*, number): Promise<*>} worker - Processes one item, receives the item and its index
+ * @param {object} [options] - Pool options
+ * @param {number} [options.concurrency] - Maximum number of items in flight
+ * @param {function(): boolean} [options.isCancelled] - Checked before starting each item; once true no new items start
+ * @param {function(Object): void} [options.onSettled] - Called after each item with { item, index, result, error, completed }
+ * @returns {Promise<{results: Array, started: number, completed: number, cancelled: boolean}>} - Results by index
+ *   (undefined for items that never started) and counts
+ */
+async function runWorkerPool(items, worker, { concurrency = 5, isCancelled = () => false, onSettled = () => {} } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let completed = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !isCancelled()) {
+      const index = next++;
+      let result;
+      let error = null;
+      try {
+        result = await worker(items[index], index);
+      } catch (caught) {
+        error = caught;
+      }
+      results[index] = result;
+      completed++;
+      onSettled({ item: items[index], index, result, error, completed });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, runWorker));
+
+  return {
+    results,
+    started: next,
+    completed,
+    cancelled: next < items.length
+  };
+}
+
+/**
+ * Formats a duration for progress messages
+ * @param {number} milliseconds - Duration
+ * @returns {string} - Duration such as "1h 5m", "2m 18s" or "9s"
+ */
+function formatDuration(milliseconds) {
+  const seconds = Math.max(0, Math.round(milliseconds / 1000));
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+  if (seconds >= 60) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Creates a progress tracker reporting throughput and estimated time left
+ * @param {number} total - Number of items
+ * @returns {function(number): string} - Returns a progress message for a completed count
+ */
+function createProgress(total) {
+  const startedAt = Date.now();
+  return (completed) => {
+    const elapsed = Date.now() - startedAt;
+    const perSecond = elapsed > 0 ? completed / (elapsed / 1000) : 0;
+    const percent = total ? Math.floor((completed / total) * 100) : 100;
+    const eta = perSecond > 0 ? formatDuration(((total - completed) / perSecond) * 1000) : 'unknown';
+    return `${completed}/${total} (${percent}%) · ${perSecond.toFixed(2)} repos/s · elapsed ${formatDuration(elapsed)} · ETA ${eta}`;
+  };
+}
+
+module.exports = {
+  runWorkerPool,
+  formatDuration,
+  createProgress
+};